@@ -0,0 +1,455 @@
+//////////////////// A static checker for Ludus, in Ludus
+// Walks the AST produced by `Ludus_Parser`, without evaluating it, and
+// finds problems that would otherwise only turn up at runtime:
+// - names that are not bound by a `let`, a param, an import, or the prelude
+// - names used before the `let` that binds them
+// - names bound more than once in the same scope
+// - special forms (`when`, `ns`, `recur`) bound as names
+// - calls to prelude functions with a number of arguments no clause takes
+// - dot access to members a prelude namespace does not have
+// - `match` arms naming variants an enumeration does not have, and matches
+//   that do not cover every variant of an enumeration known statically
+// - `js` forms, which escape checking, unless they are explicitly allowed
+// Scope works as it does in the interpreter: a file has a scope, and
+// each function has a single scope for its params and its block. A
+// function runs only once it is called, so inside a function, names from
+// enclosing scopes may be used before they are bound: e.g., a function
+// may call itself.
+
+// TODOs:
+// [ ] check the arity of calls to functions defined in Ludus
+// [ ] check names imported from `.ld` files against their exports
+// [ ] warn about unused names
+
+import '../prelude/prelude.js';
+import {readFileSync} from 'fs';
+import Parse from './parse.js';
+import Ludus_Parser from './ludus_parser.js';
+
+let {code_frame} = Parse;
+let {parse_all} = Ludus_Parser;
+let {flat_map} = Arr;
+
+let [check_node, set_check_node] = forward('check_node');
+
+// the names the prelude globalizes, as saved by `prelude/save_globals.js`
+let globals = JSON.parse(readFileSync(new URL('../prelude/ludus_globals.json', import.meta.url), 'utf8'));
+
+let special_forms = ['when', 'ns', 'recur'];
+
+let is_in = (xs, x) => is_some(Arr.index_of(xs, x));
+
+let problem = (message, node) => ({message, span: get('span', node)});
+
+let check_all = (nodes, scope) => flat_map((node) => check_node(node, scope), or(nodes, []));
+
+////////// Bindings
+// every binding is an identifier node, so problems can point at it
+let [pattern_ids, set_pattern_ids] = forward('pattern_ids');
+
+let pattern_id_getters = {
+  'identifier': (pattern) => [pattern],
+  'default': ({value: {pattern}}) => pattern_ids(pattern),
+  'rest': ({value}) => [value],
+  'array_pattern': ({value}) => flat_map(pattern_ids, value),
+  'object_pattern': ({value}) => flat_map(pattern_ids, value),
+  'prop_pattern': ({value: {pattern}}) => pattern_ids(pattern),
+  'wildcard': just([]),
+  'atom': just([]),
+  'variant_pattern': ({value: {pattern}}) => when(pattern) ? pattern_ids(pattern) : []
+};
+
+set_pattern_ids((pattern) => get(get('type', pattern), pattern_id_getters)(pattern));
+
+let alias_id = (node) => when(eq('alias', get('type', node)))
+  ? get_in(node, ['value', 'alias'])
+  : node;
+
+let binding_getters = {
+  'let': ({value: {pattern}}) => pattern_ids(pattern),
+  'imports': ({value: {imports}}) => into([], map(alias_id), imports),
+  'ns_import': ({value: {ns_name}, span}) => [{type: 'identifier', value: ns_name, span}]
+};
+
+let ids_bound_by = (node) => {
+  let getter = get(get('type', node), binding_getters);
+  return when(getter) ? getter(node) : [];
+};
+
+let names_of = (ids) => into([], map(get('value')), ids);
+
+// names may only be bound once in a scope, and never to a special form
+let check_binding = ({seen, problems}, id) => {
+  let name = get('value', id);
+  let special = when(is_in(special_forms, name))
+    ? [problem(`\`${name}\` is a special form, and may not be bound as a name.`, id)]
+    : [];
+  let duplicate = when(is_in(seen, name))
+    ? [problem(`\`${name}\` has already been bound. Names may only be bound once in a scope.`, id)]
+    : [];
+  return {seen: [...seen, name], problems: [...problems, ...special, ...duplicate]};
+};
+
+let check_bindings = (ids) => get('problems', reduce(check_binding, {seen: [], problems: []}, ids));
+
+////////// Scopes
+// A scope knows every name declared in it, and which of them are defined
+// so far. A function's scope is a boundary: from inside it, names in
+// enclosing scopes may be used before they are defined.
+let scope = (declared, defined, parent, boundary) => ({declared, defined, parent, boundary});
+
+// the file's scope also holds the options the checker was called with
+let option = (name, scope) => when(get('parent', scope))
+  ? option(name, get('parent', scope))
+  : get_in(scope, ['options', name]);
+
+let define_names = (scope, names) => assoc(scope, 'defined', [...get('defined', scope), ...names]);
+
+let resolve = (name, scope, crossed) => cond(scope,
+  [is_undef, () => when(is_in(globals, name)) ? 'global' : 'unbound'],
+  [({declared}) => is_in(declared, name), ({defined}) => when(or(crossed, is_in(defined, name)))
+    ? 'local'
+    : 'undefined'],
+  [is_any, ({parent, boundary}) => resolve(name, parent, or(crossed, boundary))]
+);
+
+let check_reference = (node, scope) => cond(resolve(get('value', node), scope, false),
+  [eq('unbound'), () => [problem(`\`${get('value', node)}\` is not bound.`, node)]],
+  [eq('undefined'), () => [problem(`\`${get('value', node)}\` is used before it is defined.`, node)]],
+  [is_any, just([])]
+);
+
+// statements are checked in order, each in the scope as it stands before it
+let check_statement = ({scope, problems}, statement) => ({
+  scope: define_names(scope, names_of(ids_bound_by(statement))),
+  problems: [...problems, ...check_node(statement, scope)]
+});
+
+let check_statements = (statements, scope) =>
+  get('problems', reduce(check_statement, {scope, problems: []}, statements));
+
+////////// The prelude
+// names that resolve to the prelude have values we can look at
+let prelude_member = ({value: {ns, member}}) => reduce(
+  (namespace, name) => when(is_ns(namespace)) ? get(name, namespace) : undefined,
+  get(first(ns), globalThis),
+  [...rest(ns), get('value', member)]);
+
+let prelude_value = (called, scope) => cond(get('type', called),
+  [eq('identifier'), () => when(eq('global', resolve(get('value', called), scope, false)))
+    ? get(get('value', called), globalThis)
+    : undefined],
+  [eq('ns_access'), () => when(eq('global', resolve(first(get_in(called, ['value', 'ns'])), scope, false)))
+    ? prelude_member(called)
+    : undefined],
+  [is_any, just(undefined)]
+);
+
+let describe_called = (called) => cond(get('type', called),
+  [eq('identifier'), () => get('value', called)],
+  [is_any, () => Str.from([...get_in(called, ['value', 'ns']), get_in(called, ['value', 'member', 'value'])], '.')]
+);
+
+// a prelude function dispatches on its arity: it takes exactly as many
+// arguments as one of its clauses, or more than all of them
+let arities = (f) => into([], map(get('length')), or(get('clauses', f), []));
+
+// NB: `and` evaluates all its arguments, and `max` takes at least one
+let takes = (arities, n) => or(
+  is_in(arities, n),
+  when(is_empty(arities)) ? false : gt(n, max(...arities)));
+
+let check_arity = (called, args, scope) => {
+  let f = prelude_value(called, scope);
+  let n = count(or(args, []));
+  let clause_arities = when(is_fn(f)) ? arities(f) : [];
+  return when(or(is_empty(clause_arities), takes(clause_arities, n)))
+    ? []
+    : [problem(`Wrong number of arguments to ${describe_called(called)}. It takes ${Str.from(clause_arities, ' or ')} argument(s), but is called with ${n}.`, called)];
+};
+
+////////// Expressions
+let check_ns_access = (node, scope) => {
+  let head = first(get_in(node, ['value', 'ns']));
+  let unbound = check_reference({type: 'identifier', value: head, span: get('span', node)}, scope);
+  let missing = when(and(
+    eq('global', resolve(head, scope, false)),
+    is_undef(prelude_member(node))))
+    ? [problem(`\`${describe_called(node)}\` is not defined in the prelude.`, node)]
+    : [];
+  return [...unbound, ...missing];
+};
+
+let check_member = (member, scope) => cond(get('type', member),
+  [eq('pair'), () => check_node(second(get('value', member)), scope)],
+  [eq('identifier'), () => check_reference(member, scope)],
+  [eq('splat'), () => check_node(get('value', member), scope)]
+);
+
+let check_call = ({value: {called, args}}, scope) => [
+  ...check_node(called, scope),
+  ...check_all(args, scope),
+  ...check_arity(called, args, scope)
+];
+
+let check_when = ({value: {condition, if_true, if_false}}, scope) =>
+  check_all([condition, if_true, if_false], scope);
+
+// JS is opaque to the checker, so it must be asked for
+let check_js = (node, scope) => when(option('allow_js', scope))
+  ? []
+  : [problem('`js` forms are not checked, and are not allowed unless the checker is called with `{allow_js: true}`.', node)];
+
+////////// Enumerations
+// An enumeration's variants are known if it is bound by a `let` to a
+// call to `enumeration` with an object literal, or if it is in the
+// prelude, in which case we can look at it.
+let is_enumeration = (called) => eq('enumeration', cond(get('type', called),
+  [eq('identifier'), () => get('value', called)],
+  [eq('ns_access'), () => get_in(called, ['value', 'member', 'value'])],
+  [is_any, just(undefined)]));
+
+let literal_variants = (members) => when(some((member) => eq('splat', get('type', member)), members))
+  ? undefined
+  : into([],
+    comp(
+      map((member) => when(eq('pair', get('type', member))) ? get_in(member, ['value', 0, 'value']) : get('value', member)),
+      filter((key) => not(eq('name', key))),
+      map(capitalize)),
+    members);
+
+let let_variants = ({value: {pattern, expression}}) => {
+  let call = get('value', expression);
+  let [arg] = get_in(call, ['value', 'args'], []);
+  return when(and(
+    eq('identifier', get('type', pattern)),
+    eq('call', get('type', call)),
+    is_enumeration(get_in(call, ['value', 'called'])),
+    eq('object', get_in(arg, ['value', 'type']))))
+    ? [[get('value', pattern), literal_variants(get_in(arg, ['value', 'value']))]]
+    : [];
+};
+
+let declared_enums = (statements) => into({},
+  flat_map((statement) => when(eq('let', get('type', statement))) ? let_variants(statement) : [], statements));
+
+let with_enums = (scope, statements) => assoc(scope, 'enums', declared_enums(statements));
+
+let runtime_variants = (value) => when(Enum.enum_type(value))
+  ? Enum.variants(value)
+  : undefined;
+
+let local_variants = (name, scope) => cond(scope,
+  [is_undef, () => runtime_variants(get(name, globalThis))],
+  [({declared}) => is_in(declared, name), ({enums}) => get(name, or(enums, {}))],
+  [is_any, ({parent}) => local_variants(name, parent)]
+);
+
+let enum_variants = (path, scope) => when(eq('identifier', get('type', path)))
+  ? local_variants(get('value', path), scope)
+  : runtime_variants(prelude_value(path, scope));
+
+// an arm catches every value of a variant if its pattern is irrefutable
+let is_catch_all = (pattern) => is_in(['wildcard', 'identifier'], get('type', pattern));
+
+let catches_variant = ({value: {pattern}}) => when(pattern) ? is_catch_all(pattern) : true;
+
+let check_variant_pattern = (node, scope) => {
+  let {enum: path, variant, pattern} = get('value', node);
+  let located = assoc(path, 'span', get('span', node));
+  let variants = enum_variants(path, scope);
+  return [
+    ...check_node(located, scope),
+    ...when(and(variants, not(is_in(or(variants, []), variant))))
+      ? [problem(`${describe_called(path)} has no variant ${variant}.`, node)]
+      : [],
+    ...when(pattern) ? check_pattern(pattern, scope) : []
+  ];
+};
+
+// a match on variants of a known enumeration must cover all of them,
+// unless it has an arm that matches anything
+let is_variant_pattern = (pattern) => eq('variant_pattern', get('type', pattern));
+
+let missing_variants = (patterns, scope) => {
+  let paths = into([], map((pattern) => describe_called(get_in(pattern, ['value', 'enum']))), patterns);
+  let variants = when(every((path) => eq(first(paths), path), paths))
+    ? enum_variants(get_in(first(patterns), ['value', 'enum']), scope)
+    : undefined;
+  let covered = into([], comp(filter(catches_variant), map((pattern) => get_in(pattern, ['value', 'variant']))), patterns);
+  return into([], filter((variant) => not(is_in(covered, variant))), or(variants, []));
+};
+
+let check_exhaustive = (node, scope) => {
+  let patterns = into([], map((arm) => get_in(arm, ['value', 'pattern'])), get_in(node, ['value', 'arms']));
+  let missing = when(every(is_variant_pattern, patterns))
+    ? missing_variants(patterns, scope)
+    : [];
+  return when(is_empty(missing))
+    ? []
+    : [problem(`This match does not cover every variant of ${describe_called(get_in(first(patterns), ['value', 'enum']))}: it is missing ${Str.from(missing, ', ')}.`, node)];
+};
+
+////////// Patterns
+// patterns bind names, but their defaults are expressions
+let [check_pattern, set_check_pattern] = forward('check_pattern');
+
+let pattern_checkers = {
+  'identifier': just([]),
+  'rest': just([]),
+  'default': ({value: {pattern, default: fallback}}, scope) =>
+    [...check_node(fallback, scope), ...check_pattern(pattern, scope)],
+  'array_pattern': ({value}, scope) => flat_map((pattern) => check_pattern(pattern, scope), value),
+  'object_pattern': ({value}, scope) => flat_map((pattern) => check_pattern(pattern, scope), value),
+  'prop_pattern': ({value: {pattern}}, scope) => check_pattern(pattern, scope),
+  'wildcard': just([]),
+  'atom': just([]),
+  'variant_pattern': check_variant_pattern
+};
+
+set_check_pattern((pattern, scope) => get(get('type', pattern), pattern_checkers)(pattern, scope));
+
+////////// Functions
+// params and the statements of a function's block share a scope
+let body_statements = (body) => when(eq('block', get_in(body, ['value', 'type'])))
+  ? get_in(body, ['value', 'value'])
+  : [];
+
+let check_function = ({value: {params, body}}, outer) => {
+  let param_ids = flat_map(pattern_ids, get('value', params));
+  let statements = body_statements(body);
+  let ids = [...param_ids, ...flat_map(ids_bound_by, statements)];
+  let fn_scope = with_enums(scope(names_of(ids), names_of(param_ids), outer, true), statements);
+  return [
+    ...check_bindings(ids),
+    ...flat_map((param) => check_pattern(param, fn_scope), get('value', params)),
+    ...when(is_empty(statements))
+      ? check_node(get('value', body), fn_scope)
+      : check_statements(statements, fn_scope)
+  ];
+};
+
+////////// Match
+// an arm's pattern and the statements of its block share a scope
+let check_arm = ({value: {pattern, body}}, outer) => {
+  let pattern_names = pattern_ids(pattern);
+  let statements = body_statements(body);
+  let ids = [...pattern_names, ...flat_map(ids_bound_by, statements)];
+  let arm_scope = with_enums(scope(names_of(ids), names_of(pattern_names), outer, false), statements);
+  return [
+    ...check_bindings(ids),
+    ...check_pattern(pattern, arm_scope),
+    ...when(is_empty(statements))
+      ? check_node(get('value', body), arm_scope)
+      : check_statements(statements, arm_scope)
+  ];
+};
+
+let check_match = (node, scope) => [
+  ...check_node(get_in(node, ['value', 'subject']), scope),
+  ...flat_map((arm) => check_arm(arm, scope), get_in(node, ['value', 'arms'])),
+  ...check_exhaustive(node, scope)
+];
+
+////////// Statements
+let check_let = ({value: {pattern, expression}}, scope) =>
+  [...check_pattern(pattern, scope), ...check_node(expression, scope)];
+
+// exported names must be bound in the file
+let check_exports = ({value: {exported}}, scope) => flat_map(
+  (name) => check_reference(
+    when(eq('alias', get('type', name))) ? get_in(name, ['value', 'name']) : name,
+    scope),
+  exported);
+
+let checkers = {
+  'atom': just([]),
+  'identifier': check_reference,
+  'expression': ({value}, scope) => check_node(value, scope),
+  'template': ({value}, scope) => check_all(filter(is_obj, value), scope),
+  'js': check_js,
+  'ns_access': check_ns_access,
+  'array': ({value}, scope) => check_all(value, scope),
+  'object': ({value}, scope) => flat_map((member) => check_member(member, scope), value),
+  'call': check_call,
+  'when': check_when,
+  'match': check_match,
+  'function': check_function,
+  'let': check_let,
+  'statement': ({value}, scope) => check_node(value, scope),
+  'return': ({value}, scope) => check_node(value, scope),
+  'imports': just([]),
+  'ns_import': just([]),
+  'bare_import': just([]),
+  'exports': check_exports,
+  'ns_export': ({value: {args}}, scope) => check_all(args, scope),
+  // syntax errors are reported by the parser
+  'error': just([])
+};
+
+set_check_node(fn({
+  name: 'check_node',
+  doc: 'Checks an AST node in a scope. Returns a list of problems, each an object with a message, at `message`, and the span of the offending node, at `span`.',
+  pre: args([at('type', is_str), is_obj]),
+  body: (node, scope) => {
+    let checker = get(get('type', node), checkers);
+    return when(checker)
+      ? checker(node, scope)
+      : raise(`The checker does not know how to check a node of type ${get('type', node)}.`);
+  }
+}));
+
+////////// Files
+let start_of = (problem) => get_in(problem, ['span', 'start']);
+
+let by_position = (a, b) => {
+  let [x, y] = [start_of(a), start_of(b)];
+  return when(is_identical(get('line', x), get('line', y)))
+    ? sub(get('col', x), get('col', y))
+    : sub(get('line', x), get('line', y));
+};
+
+let check = fn({
+  name: 'check',
+  doc: 'Statically checks the AST of a Ludus file, without evaluating it. Returns a list of problems, in the order they occur: each is an object with a message, at `message`, and the span of the source it concerns, at `span`. An empty list means no problems were found. Optionally takes an object of options: `js` forms are problems unless `allow_js` is `true`.',
+  pre: args([at('type', eq('ludus file'))], [at('type', eq('ludus file')), is_obj]),
+  body: [
+    (ast) => check(ast, {}),
+    (ast, options) => {
+      let statements = get('value', ast);
+      let ids = flat_map(ids_bound_by, statements);
+      let file_scope = assoc(with_enums(scope(names_of(ids), [], undefined, false), statements), 'options', options);
+      return Arr.sort([...check_bindings(ids), ...check_statements(statements, file_scope)], by_position);
+    }
+  ]
+});
+
+let format_problem = ({message, span}, lines) => {
+  let {line, col} = get('start', span);
+  return Str.from([
+    `Problem on line ${inc(line)}, column ${inc(col)}: ${message}`,
+    '',
+    code_frame({line, col, lines})
+  ], '\n');
+};
+
+let check_source = fn({
+  name: 'check_source',
+  doc: 'Parses and checks a string of Ludus source. Returns a list of reports, as strings, each with a code frame: first every syntax error, then every problem the checker finds in the statements that did parse. Optionally takes an object of options, as `check`.',
+  pre: args([is_str], [is_str, is_obj]),
+  body: [
+    (source) => check_source(source, {}),
+    (source, options) => {
+      let {ast, errors} = parse_all(source);
+      let lines = split('\n', source);
+      return [...errors, ...into([], map((problem) => format_problem(problem, lines)), check(ast, options))];
+    }
+  ]
+});
+
+export default ns({
+  name: 'Ludus_Checker',
+  members: {
+    check, check_node, check_source
+  }
+});
@@ -0,0 +1,386 @@
+//////////////////// A Ludus compiler, in Ludus
+// Turns the AST produced by `Ludus_Parser` back into JS: an ES module
+// that can go through any ordinary Node or bundler pipeline.
+// Ludus is (very nearly) a subset of JS, so this is mostly a matter of
+// printing the AST back out, with a few wrinkles:
+// - every module imports the prelude, which globalizes the Ludus context
+// - imports of `.ld` files become imports of the `.js` files we compile them to
+// - `when` expressions keep the `when`, so conditions are Ludus-truthy
+// - `js` forms are the JS they hold, verbatim
+
+// TODOs:
+// [ ] source maps
+// [ ] line-wrap long argument lists (wait for the formatter)
+// [ ] compile a whole directory, following `.ld` imports
+// [ ] keep comments in the compiled module
+
+import '../prelude/prelude.js';
+import {readFile, writeFile} from 'fs/promises';
+import Ludus_Parser from './ludus_parser.js';
+
+let {parse} = Ludus_Parser;
+let {flat_map} = Arr;
+
+let [emit, set_emit] = forward('emit');
+
+let default_prelude = '@ludus/prelude';
+
+let tab = '  ';
+
+let emit_all = (nodes, indent) => into([], map((node) => emit(node, indent)), or(nodes, []));
+
+let comma_list = (nodes, indent) => Str.from(emit_all(nodes, indent), ', ');
+
+////////// Atoms
+// strings are always emitted double-quoted
+let escapes = {
+  '"': '\\"',
+  '\\': '\\\\',
+  '\b': '\\b',
+  '\f': '\\f',
+  '\r': '\\r',
+  '\n': '\\n',
+  '\t': '\\t'
+};
+
+let quote = (string) => str('"',
+  Str.from(map((char) => get(char, escapes, char), split('', string))),
+  '"');
+
+let emit_atom = ({value}) => cond(value,
+  [is_undef, just('undefined')],
+  [is_str, quote],
+  [is_any, str]
+);
+
+let emit_identifier = ({value}) => value;
+
+// template chunks are escaped only as much as a template needs
+let template_escapes = {
+  '`': '\\`',
+  '\\': '\\\\',
+  '$': '\\$'
+};
+
+let emit_chunk = (chunk, indent) => when(is_str(chunk))
+  ? Str.from(map((char) => get(char, template_escapes, char), split('', chunk)))
+  : `\${${emit(chunk, indent)}}`;
+
+let emit_template = ({value}, indent) =>
+  str('`', Str.from(into([], map((chunk) => emit_chunk(chunk, indent)), value)), '`');
+
+// JS in a `js` form is emitted verbatim
+let emit_js = ({value}) => `(${value})`;
+
+// parens in the source are expressions wrapped in expressions
+// we keep them, since they may be load-bearing
+let emit_expression = ({value}, indent) => when(eq('expression', get('type', value)))
+  ? `(${emit(value, indent)})`
+  : emit(value, indent);
+
+let emit_ns_access = ({value: {ns, member}}) => Str.from([...ns, get('value', member)], '.');
+
+////////// Collections
+let emit_array = ({value}, indent) => `[${comma_list(value, indent)}]`;
+
+let emit_key = (key) => when(eq('atom', get('type', key)))
+  ? quote(get('value', key))
+  : get('value', key);
+
+let emit_member = (member, indent) => cond(get('type', member),
+  [eq('pair'), () => {
+    let [key, value] = get('value', member);
+    return `${emit_key(key)}: ${emit(value, indent)}`;
+  }],
+  [eq('identifier'), () => get('value', member)],
+  [eq('splat'), () => `...${emit(get('value', member), indent)}`]
+);
+
+let emit_object = ({value}, indent) => `{${Str.from(
+  into([], map((member) => emit_member(member, indent)), or(value, [])),
+  ', ')}}`;
+
+////////// Calls & conditionals
+// only names may be called without parens around them
+let emit_callee = (called, indent) => when(is_some(Arr.index_of(['identifier', 'ns_access'], get('type', called))))
+  ? emit(called, indent)
+  : `(${emit(called, indent)})`;
+
+let emit_call = ({value: {called, args}}, indent) =>
+  `${emit_callee(called, indent)}(${comma_list(args, indent)})`;
+
+let emit_when = ({value: {condition, if_true, if_false}}, indent) =>
+  `when(${emit(condition, indent)}) ? ${emit(if_true, indent)} : ${emit(if_false, indent)}`;
+
+////////// Functions
+let emit_params = ({value}, indent) => `(${comma_list(value, indent)})`;
+
+let emit_function = ({value: {params, body}}, indent) =>
+  `${emit_params(params, indent)} => ${emit(body, indent)}`;
+
+// an arrow returning an object literal needs parens, lest it be a block
+let is_obj_literal = (node) => eq('object', get_in(node, ['value', 'type']));
+
+let emit_fn_body = ({value}, indent) => when(is_obj_literal(value))
+  ? `(${emit(value, indent)})`
+  : emit(value, indent);
+
+let emit_block = ({value}, indent) => when(is_empty(value))
+  ? '{}'
+  : Str.from([
+    '{',
+    ...into([], map((statement) => str(indent, tab, emit(statement, str(indent, tab)))), value),
+    `${indent}}`
+  ], '\n');
+
+////////// Patterns
+// destructuring patterns are JS destructuring patterns
+let emit_default = ({value: {pattern, default: fallback}}, indent) =>
+  `${emit(pattern, indent)} = ${emit(fallback, indent)}`;
+
+let emit_rest = ({value}) => `...${get('value', value)}`;
+
+let emit_array_pattern = ({value}, indent) => `[${comma_list(value, indent)}]`;
+
+// `{a: a}` is just `{a}`, and `{a: a = 1}` is just `{a = 1}`
+let is_shorthand = ({value: {key, pattern}}) => and(
+  eq('identifier', get('type', key)),
+  eq(get('value', key), get('value', when(eq('default', get('type', pattern)))
+    ? get_in(pattern, ['value', 'pattern'])
+    : pattern)));
+
+let emit_prop_pattern = (prop, indent) => when(is_shorthand(prop))
+  ? emit(get_in(prop, ['value', 'pattern']), indent)
+  : `${emit_key(get_in(prop, ['value', 'key']))}: ${emit(get_in(prop, ['value', 'pattern']), indent)}`;
+
+let emit_object_pattern = ({value}, indent) => `{${comma_list(value, indent)}}`;
+
+////////// Match
+// A match is a function of its subject, `$`, which is not a Ludus name,
+// so it cannot shadow one. Each arm is a test of the subject, and a
+// function of the names its pattern binds, called if the test passes.
+// A pattern compiles to its tests, as JS conditions, and its bindings,
+// as pairs of names and the JS that reaches into the subject for them.
+let [match_code, set_match_code] = forward('match_code');
+
+let no_code = {tests: [], binds: []};
+
+let join_code = (codes) => ({
+  tests: flat_map(get('tests'), codes),
+  binds: flat_map(get('binds'), codes)
+});
+
+let is_rest = (pattern) => eq('rest', get('type', pattern));
+
+let array_code = ({value: elements}, access) => {
+  let fixed = into([], filter((element) => not(is_rest(element))), elements);
+  let rest_element = when(is_rest(Arr.last(elements))) ? Arr.last(elements) : undefined;
+  return join_code([
+    {tests: [
+      `is_arr(${access})`,
+      `${access}.length ${when(rest_element) ? '>=' : '==='} ${count(fixed)}`], binds: []},
+    ...into([], map((index) => match_code(get(index, fixed), `${access}[${index}]`)), range(count(fixed))),
+    when(rest_element)
+      ? {tests: [], binds: [[get_in(rest_element, ['value', 'value']), `${access}.slice(${count(fixed)})`]]}
+      : no_code
+  ]);
+};
+
+let prop_key = (prop) => get_in(prop, ['value', 'key', 'value']);
+
+let object_code = ({value: props}, access) => {
+  let keyed = into([], filter((prop) => not(is_rest(prop))), props);
+  let key_list = `[${Str.from(into([], map(pipe(prop_key, quote)), keyed), ', ')}]`;
+  return join_code([
+    {tests: [
+      `is_obj(${access})`,
+      ...into([], map((prop) => `Preds.has(${quote(prop_key(prop))}, ${access})`), keyed)], binds: []},
+    ...into([], map((prop) => match_code(get_in(prop, ['value', 'pattern']), `${access}[${quote(prop_key(prop))}]`)), keyed),
+    when(is_rest(Arr.last(props)))
+      ? {tests: [], binds: [[get_in(Arr.last(props), ['value', 'value']), `reduce((obj, key) => Obj.dissoc(obj, key), ${access}, ${key_list})`]]}
+      : no_code
+  ]);
+};
+
+// an enumeration's values are boxed twice: the enumeration's type boxes
+// the variant's type, which boxes the variant's value
+// an enumeration may be named by its type or by its namespace
+let variant_code = ({value: {enum: path, variant, pattern}}, access) => join_code([
+  {tests: [
+    `is_identical(type_of(${access}), Enum.enum_type(${emit(path, '')}))`,
+    `get("name", type_of(get("value", ${access}))) === ${quote(variant)}`], binds: []},
+  when(pattern) ? match_code(pattern, `get_in(${access}, ["value", "value"])`) : no_code
+]);
+
+let match_coders = {
+  'wildcard': just(no_code),
+  'identifier': ({value}, access) => ({tests: [], binds: [[value, access]]}),
+  'atom': (atom, access) => ({tests: [`${access} === ${emit_atom(atom)}`], binds: []}),
+  'variant_pattern': variant_code,
+  'array_pattern': array_code,
+  'object_pattern': object_code
+};
+
+set_match_code((pattern, access) => get(get('type', pattern), match_coders)(pattern, access));
+
+let emit_arm = (indent) => ({value: {pattern, body}}) => {
+  let {tests, binds} = match_code(pattern, '$');
+  let test = when(is_empty(tests)) ? 'true' : Str.from(tests, ' && ');
+  let names = Str.from(into([], map(first), binds), ', ');
+  let values = Str.from(into([], map(second), binds), ', ');
+  return `${indent}when(${test}) ? ((${names}) => ${emit(body, indent)})(${values}) :`;
+};
+
+let emit_match = ({value: {subject, arms}}, indent) => Str.from([
+  '(($) =>',
+  ...into([], map(emit_arm(str(indent, tab))), arms),
+  `${indent}${tab}raise(\`No arm of match matches \${show($)}.\`))(${emit(subject, indent)})`
+], '\n');
+
+////////// Statements
+// a function with a doc comment is a documented Ludus function
+let emit_let = ({value: {pattern, expression, doc}}, indent) => when(doc)
+  ? `let ${emit(pattern, indent)} = fn({name: ${quote(get('value', pattern))}, doc: ${quote(doc)}, body: ${emit(expression, indent)}});`
+  : `let ${emit(pattern, indent)} = ${emit(expression, indent)};`;
+
+let emit_statement = ({value}, indent) => `${emit(value, indent)};`;
+
+let emit_return = ({value}, indent) => `return ${emit(value, indent)};`;
+
+// a file parsed in recovery mode may have statements that did not parse
+let emit_error = ({value: {message}}) => raise(SyntaxError, message);
+
+////////// Imports and exports
+// we compile `.ld` files to `.js` files alongside them
+let module_path = (imported) => when(Str.ends_with('.ld', imported))
+  ? str(Str.slice(imported, 0, -3), '.js')
+  : imported;
+
+let emit_alias = ({value: {name, alias}}) => `${get('value', name)} as ${get('value', alias)}`;
+
+let emit_imports = ({value: {imports, imported}}) =>
+  `import {${comma_list(imports, '')}} from ${quote(module_path(imported))};`;
+
+let emit_ns_import = ({value: {ns_name, imported}}) =>
+  `import ${ns_name} from ${quote(module_path(imported))};`;
+
+let emit_bare_import = ({value: {imported}}) => `import ${quote(module_path(imported))};`;
+
+let emit_exports = ({value: {exported}}) => `export {${comma_list(exported, '')}};`;
+
+let emit_ns_export = ({value: {args}}, indent) => `export default ns(${comma_list(args, indent)});`;
+
+let emitters = {
+  'atom': emit_atom,
+  'identifier': emit_identifier,
+  'template': emit_template,
+  'js': emit_js,
+  'expression': emit_expression,
+  'ns_access': emit_ns_access,
+  'array': emit_array,
+  'object': emit_object,
+  'call': emit_call,
+  'when': emit_when,
+  'match': emit_match,
+  'function': emit_function,
+  'params': emit_params,
+  'fn_body': emit_fn_body,
+  'block': emit_block,
+  'default': emit_default,
+  'rest': emit_rest,
+  'array_pattern': emit_array_pattern,
+  'prop_pattern': emit_prop_pattern,
+  'object_pattern': emit_object_pattern,
+  'let': emit_let,
+  'statement': emit_statement,
+  'return': emit_return,
+  'alias': emit_alias,
+  'imports': emit_imports,
+  'ns_import': emit_ns_import,
+  'bare_import': emit_bare_import,
+  'exports': emit_exports,
+  'ns_export': emit_ns_export,
+  'error': emit_error
+};
+
+set_emit(fn({
+  name: 'emit',
+  doc: 'Emits the JS source for an AST node, at an indentation level, given as a string of leading whitespace.',
+  pre: args([at('type', is_str), is_str]),
+  body: (node, indent) => {
+    let emitter = get(get('type', node), emitters);
+    return when(emitter)
+      ? emitter(node, indent)
+      : raise(`The compiler does not know how to emit a node of type ${get('type', node)}.`);
+  }
+}));
+
+////////// Files
+let import_types = ['imports', 'ns_import', 'bare_import'];
+let export_types = ['exports', 'ns_export'];
+
+let is_of_type = (types) => (node) => is_some(Arr.index_of(types, get('type', node)));
+
+let imports_prelude = (prelude, nodes) => is_some(Arr.index_of(
+  into([], comp(filter(is_of_type(['bare_import'])), map((node) => get_in(node, ['value', 'imported']))), nodes),
+  prelude));
+
+// imports, then statements, then exports, each separated by a blank line
+let section = (nodes) => Str.from(emit_all(nodes, ''), '\n');
+
+let compile = fn({
+  name: 'compile',
+  doc: 'Compiles the AST of a Ludus file to the source of an ES module. The module imports the prelude, at `@ludus/prelude`, unless it already does so. Optionally takes a different import path for the prelude.',
+  pre: args([at('type', eq('ludus file'))], [at('type', eq('ludus file')), is_str]),
+  body: [
+    (ast) => compile(ast, default_prelude),
+    (ast, prelude) => {
+      let nodes = get('value', ast);
+      let prelude_import = when(imports_prelude(prelude, nodes))
+        ? []
+        : [{type: 'bare_import', value: {imported: prelude}}];
+      let sections = [
+        section([...prelude_import, ...filter(is_of_type(import_types), nodes)]),
+        section(into([], filter((node) => not(is_of_type([...import_types, ...export_types])(node))), nodes)),
+        section(into([], filter(is_of_type(export_types)), nodes))
+      ];
+      return str(Str.from(into([], filter(not(is_empty)), sections), '\n\n'), '\n');
+    }
+  ]
+});
+
+let compile_source = fn({
+  name: 'compile_source',
+  doc: 'Parses and compiles a string of Ludus source to the source of an ES module. Optionally takes an import path for the prelude.',
+  pre: args([is_str], [is_str, is_str]),
+  body: [
+    (source) => compile(parse(source)),
+    (source, prelude) => compile(parse(source), prelude)
+  ]
+});
+
+// `foo.ld` compiles to `foo.js`
+let js_path = (path) => when(Str.ends_with('.ld', path))
+  ? module_path(path)
+  : str(path, '.js');
+
+let compile_file = fn({
+  name: 'compile_file',
+  doc: 'Reads and compiles the Ludus file at a path, writing the resulting ES module to another path. By default, `foo.ld` is written to `foo.js`. Returns a promise of the path written to.',
+  pre: args([is_str], [is_str, is_str]),
+  body: [
+    (from) => compile_file(from, js_path(from)),
+    async (from, to) => {
+      let source = await readFile(from, 'utf8');
+      await writeFile(to, compile_source(source));
+      return to;
+    }
+  ]
+});
+
+export default ns({
+  name: 'Ludus_Compiler',
+  members: {
+    emit, compile, compile_source, compile_file
+  }
+});
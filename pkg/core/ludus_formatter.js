@@ -0,0 +1,356 @@
+//////////////////// A Ludus formatter, in Ludus
+// Prints the AST produced by `Ludus_Parser` back out as canonical Ludus:
+// - two-space indentation; blocks, and lists that are broken across
+//   lines, are indented one level deeper than what they are in
+// - strings are single-quoted
+// - no trailing commas: the grammar allows them only in arrays, objects
+//   and params, so leaving them out is valid everywhere
+// - anything that does not fit in 80 columns is broken across lines:
+//   the arguments of calls, the elements of arrays and objects, and the
+//   branches of `when` expressions
+// - at most one blank line between statements, where the source has one
+// - comments between statements are kept, including a comment at the
+//   end of a statement's line
+// Formatting is idempotent: formatting formatted code changes nothing.
+
+// TODOs:
+// [ ] keep comments inside expressions (they are dropped)
+// [ ] break long params and patterns
+// [ ] a `ludus fmt` command, to format files from the shell
+
+import '../prelude/prelude.js';
+import {readFile, writeFile} from 'fs/promises';
+import Ludus_Parser from './ludus_parser.js';
+
+let {parse} = Ludus_Parser;
+let {flat_map} = Arr;
+
+let [fmt, set_fmt] = forward('fmt');
+
+let width = 80;
+
+let tab = '  ';
+
+let fits = (string, col) => and(
+  not(Str.includes('\n', string)),
+  lte(add(col, count(string)), width));
+
+// a list, either all on one line, or one item per line
+let flat_list = (nodes, indent) => Str.from(into([], map((node) => fmt(node, indent, 0)), or(nodes, [])), ', ');
+
+let broken_list = (nodes, indent) => Str.from(
+  into([], map((node) => str(indent, fmt(node, indent, count(indent)))), or(nodes, [])),
+  ',\n');
+
+////////// Atoms
+let escapes = {
+  '\'': '\\\'',
+  '\\': '\\\\',
+  '\b': '\\b',
+  '\f': '\\f',
+  '\r': '\\r',
+  '\n': '\\n',
+  '\t': '\\t'
+};
+
+let quote = (string) => str('\'',
+  Str.from(map((char) => get(char, escapes, char), split('', string))),
+  '\'');
+
+let fmt_atom = ({value}) => cond(value,
+  [is_undef, just('undefined')],
+  [is_str, quote],
+  [is_any, (value) => `${value}`]
+);
+
+let fmt_identifier = ({value}) => value;
+
+// parens in the source are expressions wrapped in expressions
+let fmt_expression = ({value}, indent, col) => when(eq('expression', get('type', value)))
+  ? `(${fmt(value, indent, inc(col))})`
+  : fmt(value, indent, col);
+
+let template_escapes = {
+  '`': '\\`',
+  '\\': '\\\\',
+  '$': '\\$'
+};
+
+let fmt_chunk = (chunk, indent) => when(is_str(chunk))
+  ? Str.from(map((char) => get(char, template_escapes, char), split('', chunk)))
+  : `\${${fmt(chunk, indent, 0)}}`;
+
+let fmt_template = ({value}, indent) =>
+  str('`', Str.from(into([], map((chunk) => fmt_chunk(chunk, indent)), value)), '`');
+
+// JS is left as it is, but for its backticks
+let fmt_js = ({value}) => str('js`', Str.from(map((char) => when(eq('`', char)) ? '\\`' : char, split('', value))), '`');
+
+let fmt_ns_access = ({value: {ns, member}}) => Str.from([...ns, get('value', member)], '.');
+
+////////// Collections
+// broken arrays and objects close on a line of their own
+let fmt_collection = (open, close, nodes, indent, col) => {
+  let flat = `${open}${flat_list(nodes, indent)}${close}`;
+  return when(or(is_empty(or(nodes, [])), fits(flat, col)))
+    ? flat
+    : `${open}\n${broken_list(nodes, str(indent, tab))}\n${indent}${close}`;
+};
+
+let fmt_array = ({value}, indent, col) => fmt_collection('[', ']', value, indent, col);
+
+let fmt_key = (key) => when(eq('atom', get('type', key)))
+  ? quote(get('value', key))
+  : get('value', key);
+
+let fmt_pair = ({value: [key, value]}, indent, col) => {
+  let prefix = `${fmt_key(key)}: `;
+  return str(prefix, fmt(value, indent, add(col, count(prefix))));
+};
+
+let fmt_splat = ({value}, indent, col) => `...${fmt(value, indent, add(col, 3))}`;
+
+let fmt_object = ({value}, indent, col) => fmt_collection('{', '}', value, indent, col);
+
+////////// Calls & conditionals
+// only names may be called without parens around them
+let fmt_callee = (called, indent, col) => when(is_some(Arr.index_of(['identifier', 'ns_access'], get('type', called))))
+  ? fmt(called, indent, col)
+  : `(${fmt(called, indent, inc(col))})`;
+
+// broken calls keep their closing paren on the line of the last argument,
+// except that a lone array or object argument hugs the parens: `f({...})`
+let is_collection = (node) => and(
+  eq('expression', get('type', node)),
+  is_some(Arr.index_of(['array', 'object'], get_in(node, ['value', 'type']))));
+
+let is_huggable = (nodes) => and(is_identical(1, count(nodes)), is_collection(Arr.last(nodes)));
+
+let fmt_args = (open, nodes, indent, col) => {
+  let flat = `${open}(${flat_list(nodes, indent)})`;
+  return cond(nodes,
+    [() => or(is_empty(or(nodes, [])), fits(flat, col)), just(flat)],
+    [is_huggable, ([arg]) => `${open}(${fmt(arg, indent, add(col, inc(count(open))))})`],
+    [is_any, () => `${open}(\n${broken_list(nodes, str(indent, tab))})`]
+  );
+};
+
+let fmt_call = ({value: {called, args}}, indent, col) => fmt_args(fmt_callee(called, indent, col), args, indent, col);
+
+let fmt_when = ({value: {condition, if_true, if_false}}, indent, col) => {
+  let test = `when(${fmt(condition, indent, add(col, 5))})`;
+  let flat = `${test} ? ${fmt(if_true, indent, 0)} : ${fmt(if_false, indent, 0)}`;
+  let branch_indent = str(indent, tab);
+  let branch_col = add(count(branch_indent), 2);
+  return when(fits(flat, col))
+    ? flat
+    : Str.from([
+      test,
+      `${branch_indent}? ${fmt(if_true, branch_indent, branch_col)}`,
+      `${branch_indent}: ${fmt(if_false, branch_indent, branch_col)}`
+    ], '\n');
+};
+
+// a match has one arm per line, always
+let fmt_arm = (indent) => ({value: {pattern, body}}) => {
+  let prefix = `${indent}${fmt(pattern, indent, count(indent))} => `;
+  return str(prefix, fmt(body, indent, count(prefix)));
+};
+
+let fmt_match = ({value: {subject, arms}}, indent, col) => Str.from([
+  `match(${fmt(subject, indent, add(col, 6))}) {`,
+  Str.from(into([], map(fmt_arm(str(indent, tab))), arms), ',\n'),
+  `${indent}}`
+], '\n');
+
+////////// Patterns
+let fmt_default = ({value: {pattern, default: fallback}}, indent, col) => {
+  let prefix = `${fmt(pattern, indent, col)} = `;
+  return str(prefix, fmt(fallback, indent, add(col, count(prefix))));
+};
+
+let fmt_variant_pattern = ({value: {enum: path, variant, pattern}}, indent, col) => {
+  let name = `${fmt(path, indent, col)}.${variant}`;
+  return when(pattern)
+    ? `${name}(${fmt(pattern, indent, add(col, inc(count(name))))})`
+    : name;
+};
+
+let fmt_rest = ({value}) => `...${get('value', value)}`;
+
+let fmt_pattern_list = (open, close) => ({value}, indent) => `${open}${flat_list(value, indent)}${close}`;
+
+// `{a: a}` is just `{a}`, and `{a: a = 1}` is just `{a = 1}`
+let is_shorthand = ({value: {key, pattern}}) => and(
+  eq('identifier', get('type', key)),
+  eq(get('value', key), get('value', when(eq('default', get('type', pattern)))
+    ? get_in(pattern, ['value', 'pattern'])
+    : pattern)));
+
+let fmt_prop_pattern = (prop, indent, col) => when(is_shorthand(prop))
+  ? fmt(get_in(prop, ['value', 'pattern']), indent, col)
+  : `${fmt_key(get_in(prop, ['value', 'key']))}: ${fmt(get_in(prop, ['value', 'pattern']), indent, col)}`;
+
+////////// Functions
+let fmt_function = ({value: {params, body}}, indent, col) => {
+  let prefix = `${fmt(params, indent, col)} => `;
+  return str(prefix, fmt(body, indent, add(col, count(prefix))));
+};
+
+let fmt_fn_body = ({value}, indent, col) => fmt(value, indent, col);
+
+////////// Statements & comments
+// The parser keeps the comments before each statement, and at the end of
+// each block and file, as trivia. Between them and the statements, spans
+// tell us where the line breaks were.
+let breaks_between = (from, {span}) => when(and(from, span))
+  ? sub(get_in(span, ['start', 'line']), get('line', from))
+  : 1;
+
+// the starred lines of a block comment line up under its first line
+// other lines are left as they are
+let realign = (indent) => (line) => when(Str.starts_with('*', trim(line)))
+  ? str(indent, ' ', trim(line))
+  : line;
+
+let fmt_comment = (text, indent) => {
+  let [first_line, ...rest_lines] = split('\n', text);
+  return Str.from([str(indent, first_line), ...into([], map(realign(indent)), rest_lines)], '\n');
+};
+
+let is_comment = (node) => eq('comment', get('type', node));
+
+let fmt_item = (item, indent) => when(is_comment(item))
+  ? fmt_comment(get('value', item), indent)
+  : str(indent, fmt(item, indent, count(indent)));
+
+// Items, comments and statements alike, go on lines of their own, with a
+// blank line before them if the source had one, except that a comment on
+// the line of the last item stays on that line.
+let add_item = (indent) => ({lines, from}, item) => {
+  let breaks = breaks_between(from, item);
+  let is_first = is_empty(lines);
+  let next = when(and(is_comment(item), is_identical(0, breaks), not(is_first)))
+    ? [...Arr.slice(lines, 0, dec(count(lines))), `${Arr.last(lines)} ${get('value', item)}`]
+    : [...lines, ...when(and(gt(breaks, 1), not(is_first))) ? [''] : [], fmt_item(item, indent)];
+  return {lines: next, from: get_in(item, ['span', 'end'])};
+};
+
+let fmt_statements = (nodes, end_comments, indent, from) => get('lines', reduce(
+  add_item(indent),
+  {lines: [], from},
+  [...flat_map((node) => [...get('comments', node, []), node], nodes), ...or(end_comments, [])]));
+
+let fmt_block = ({value, end_comments, span}, indent) => when(and(is_empty(value), is_empty(or(end_comments, []))))
+  ? '{}'
+  : Str.from([
+    '{',
+    ...fmt_statements(value, end_comments, str(indent, tab), get('start', or(span, {}))),
+    `${indent}}`
+  ], '\n');
+
+let fmt_let = ({value: {pattern, expression}}, indent, col) => {
+  let prefix = `let ${fmt(pattern, indent, col)} = `;
+  return `${prefix}${fmt(expression, indent, add(col, count(prefix)))};`;
+};
+
+let fmt_statement = ({value}, indent, col) => `${fmt(value, indent, col)};`;
+
+let fmt_return = ({value}, indent, col) => `return ${fmt(value, indent, add(col, 7))};`;
+
+////////// Imports and exports
+let fmt_alias = ({value: {name, alias}}) => `${get('value', name)} as ${get('value', alias)}`;
+
+let fmt_imports = ({value: {imports, imported}}, indent) =>
+  `import {${flat_list(imports, indent)}} from ${quote(imported)};`;
+
+let fmt_ns_import = ({value: {ns_name, imported}}) => `import ${ns_name} from ${quote(imported)};`;
+
+let fmt_bare_import = ({value: {imported}}) => `import ${quote(imported)};`;
+
+let fmt_exports = ({value: {exported}}, indent) => `export {${flat_list(exported, indent)}};`;
+
+let fmt_ns_export = ({value: {args}}, indent, col) => `${fmt_args('export default ns', args, indent, col)};`;
+
+let formatters = {
+  'atom': fmt_atom,
+  'identifier': fmt_identifier,
+  'expression': fmt_expression,
+  'template': fmt_template,
+  'js': fmt_js,
+  'ns_access': fmt_ns_access,
+  'array': fmt_array,
+  'object': fmt_object,
+  'pair': fmt_pair,
+  'splat': fmt_splat,
+  'call': fmt_call,
+  'when': fmt_when,
+  'match': fmt_match,
+  'default': fmt_default,
+  'rest': fmt_rest,
+  'array_pattern': fmt_pattern_list('[', ']'),
+  'object_pattern': fmt_pattern_list('{', '}'),
+  'prop_pattern': fmt_prop_pattern,
+  'wildcard': just('_'),
+  'variant_pattern': fmt_variant_pattern,
+  'function': fmt_function,
+  'params': fmt_pattern_list('(', ')'),
+  'fn_body': fmt_fn_body,
+  'block': fmt_block,
+  'let': fmt_let,
+  'statement': fmt_statement,
+  'return': fmt_return,
+  'alias': fmt_alias,
+  'imports': fmt_imports,
+  'ns_import': fmt_ns_import,
+  'bare_import': fmt_bare_import,
+  'exports': fmt_exports,
+  'ns_export': fmt_ns_export
+};
+
+set_fmt(fn({
+  name: 'fmt',
+  pre: args([at('type', is_str), is_str, is_int]),
+  body: (node, indent, col) => {
+    let formatter = get(get('type', node), formatters);
+    return when(formatter)
+      ? formatter(node, indent, col)
+      : raise(`The formatter does not know how to format a node of type ${get('type', node)}.`);
+  }
+}));
+
+////////// Files
+let format = fn({
+  name: 'format',
+  doc: 'Formats the AST of a Ludus file as canonical Ludus source, keeping the comments the parser kept. Returns the formatted source.',
+  pre: args([at('type', eq('ludus file'))]),
+  body: ({value, end_comments}) => str(Str.from(fmt_statements(value, end_comments, '', undefined), '\n'), '\n')
+});
+
+let format_source = fn({
+  name: 'format_source',
+  doc: 'Parses and formats a string of Ludus source. Raises a `SyntaxError` if the source does not parse.',
+  pre: args([is_str]),
+  body: (source) => format(parse(source))
+});
+
+let format_file = fn({
+  name: 'format_file',
+  doc: 'Reads and formats the Ludus file at a path. Returns a promise of the formatted source. Pass `true` as a second argument to write the formatted source back to the file.',
+  pre: args([is_str], [is_str, is_bool]),
+  body: [
+    (path) => format_file(path, false),
+    async (path, write) => {
+      let formatted = format_source(await readFile(path, 'utf8'));
+      when(write) ? await writeFile(path, formatted) : undefined;
+      return formatted;
+    }
+  ]
+});
+
+export default ns({
+  name: 'Ludus_Formatter',
+  members: {
+    format, format_source, format_file
+  }
+});
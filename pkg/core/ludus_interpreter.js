@@ -0,0 +1,582 @@
+//////////////////// A Ludus interpreter, in Ludus
+// Walks the AST produced by `Ludus_Parser` and evaluates it against
+// the prelude context (everything registered with `Ludus.context`).
+// Scope works the way it does in JS: a file gets a scope, and every
+// function call gets a scope for its params and its block. Scopes are
+// environments: a frame of bindings, plus a pointer to the parent frame.
+
+// TODOs:
+// [ ] tail calls: `loop`/`recur` work, but plain recursion is JS recursion
+// [ ] detect import cycles between `.ld` files
+// [ ] point at the offending source when evaluation fails
+// [ ] consider caching loaded modules across `run_file`s
+
+import '../prelude/prelude.js';
+import {readFile} from 'fs/promises';
+import {dirname, resolve} from 'path';
+import {pathToFileURL} from 'url';
+import Ludus_Parser from './ludus_parser.js';
+
+let {parse} = Ludus_Parser;
+
+let [evaluate, set_evaluate] = forward('evaluate');
+
+////////// Environments
+// Bindings are stored in cells--`{value}`--so that a name bound to
+// `undefined` is still a bound name.
+let env_s = record('env', {bindings: is_obj});
+
+let env = fn({
+  name: 'env',
+  doc: 'Creates an environment: an empty frame of bindings. With an argument, the new environment is a child of the passed environment, and can see all its bindings.',
+  pre: args([], [env_s]),
+  body: [
+    () => ({bindings: {}, parent: undefined}),
+    (parent) => ({bindings: {}, parent})
+  ]
+});
+
+let child_env = (parent) => env(parent);
+
+// the root environment holds everything the prelude has globalized
+let global_env = fn({
+  name: 'global_env',
+  doc: 'Creates an environment that holds every value the prelude has globalized, i.e. the Ludus context.',
+  body: () => ({
+    bindings: into({},
+      map((name) => [name, {value: get(name, globalThis)}]),
+      Ludus.globalized),
+    parent: undefined
+  })
+});
+
+let lookup = fn({
+  name: 'lookup',
+  doc: 'Finds the cell that binds a name in an environment, or any of its parents. Returns undefined if the name is not bound.',
+  pre: args([is_str, maybe(env_s)]),
+  body: (name, env) => when(is_undef(env))
+    ? undefined
+    : or(get(name, get('bindings', env)), lookup(name, get('parent', env)))
+});
+
+let is_bound = fn({
+  name: 'is_bound',
+  doc: 'Tells if a name is bound in an environment, or any of its parents.',
+  pre: args([is_str, env_s]),
+  body: (name, env) => is_some(lookup(name, env))
+});
+
+let define = fn({
+  name: 'define',
+  doc: 'Binds a name to a value in an environment, mutating the environment. As with `let`, a name may only be bound once in any given environment (but may shadow a name bound in a parent environment). Returns the value.',
+  pre: args([env_s, is_str, is_any]),
+  body: (env, name, value) => when(is_some(get(name, get('bindings', env))))
+    ? raise(`${name} has already been defined. Names may only be bound once in a scope.`)
+    : get_in(Obj.assoc_(get('bindings', env), name, {value}), [name, 'value'])
+});
+
+// `define`, but returns the environment, for reducing over bindings
+let bind = (env, name, value) => {
+  define(env, name, value);
+  return env;
+};
+
+let resolve_name = (name, env) => {
+  let cell = lookup(name, env);
+  return when(cell)
+    ? get('value', cell)
+    : raise(ReferenceError, `${name} is not defined.`);
+};
+
+////////// Expressions
+let eval_atom = ({value}) => value;
+
+let eval_identifier = ({value}, env) => resolve_name(value, env);
+
+let eval_expression = ({value}, env) => evaluate(value, env);
+
+// templates interpolate values just as JS templates do
+let eval_template = ({value}, env) => Str.from(into([],
+  map((chunk) => when(is_str(chunk)) ? chunk : `${evaluate(chunk, env)}`),
+  value));
+
+// JS in a `js` form sees the names bound in Ludus, as it would once
+// compiled: so it is a JS function of every name bound below the globals,
+// which JS sees anyway
+let local_bindings = (env) => when(get('parent', env))
+  ? merge(local_bindings(get('parent', env)), get('bindings', env))
+  : {};
+
+let eval_js = ({value}, env) => {
+  let bindings = local_bindings(env);
+  let names = keys(bindings);
+  return Function(...names, `return (${value});`)(...into([], map((name) => get_in(bindings, [name, 'value'])), names));
+};
+
+// dot access is only allowed on namespaces
+let ns_member = (namespace, name) => when(is_ns(namespace))
+  ? when(is_some(get(name, namespace)))
+    ? get(name, namespace)
+    : raise(ReferenceError, `${name} is not defined in namespace ${show(namespace)}.`)
+  : raise(TypeError, `${show(namespace)} is not a namespace; only namespaces allow dot access.`);
+
+let eval_ns_access = ({value: {ns, member}}, env) => ns_member(
+  reduce(ns_member, resolve_name(first(ns), env), rest(ns)),
+  get('value', member));
+
+let eval_array = ({value}, env) => into([],
+  map((element) => evaluate(element, env)),
+  or(value, []));
+
+// object members are pairs, bare identifiers, and splats
+// each evaluates to an object, and these get merged in order
+let eval_member = (member, env) => cond(get('type', member),
+  [eq('pair'), () => {
+    let [key, value] = get('value', member);
+    return assoc({}, get('value', key), evaluate(value, env));
+  }],
+  [eq('identifier'), () => {
+    let name = get('value', member);
+    return assoc({}, name, resolve_name(name, env));
+  }],
+  [eq('splat'), () => evaluate(get('value', member), env)]
+);
+
+let eval_object = ({value}, env) => reduce(
+  (obj, member) => merge(obj, eval_member(member, env)),
+  {},
+  or(value, []));
+
+let describe_callee = (called) => cond(get('type', called),
+  [eq('identifier'), () => get('value', called)],
+  [eq('ns_access'), () => Str.from([...get_in(called, ['value', 'ns']), get_in(called, ['value', 'member', 'value'])], '.')],
+  [is_any, just('the expression')]
+);
+
+let eval_call = ({value: {called, args}}, env) => {
+  let f = evaluate(called, env);
+  let arg_values = into([], map((arg) => evaluate(arg, env)), or(args, []));
+  return when(is_fn(f))
+    ? apply(f, arg_values)
+    : raise(TypeError, `${describe_callee(called)} is not a function, and may not be called. It is: ${show(f)}.`);
+};
+
+// `when` is a special form: only one of its branches is ever evaluated
+let eval_when = ({value: {condition, if_true, if_false}}, env) =>
+  when(evaluate(condition, env))
+    ? evaluate(if_true, env)
+    : evaluate(if_false, env);
+
+////////// Patterns
+// Binding a pattern to a value defines each name in the pattern, in an
+// environment. Returns the environment.
+let [bind_pattern, set_bind_pattern] = forward('bind_pattern');
+
+let bind_identifier = ({value: name}, env, value) => bind(env, name, value);
+
+// a default is used when there is no value, i.e. when it is `undefined`
+let bind_default = ({value: {pattern, default: fallback}}, env, value) =>
+  bind_pattern(pattern, env, when(is_undef(value)) ? evaluate(fallback, env) : value);
+
+let bind_element = (items) => (env, [element, index]) => when(eq('rest', get('type', element)))
+  ? bind_pattern(get('value', element), env, Arr.slice(items, index))
+  : bind_pattern(element, env, get(index, items));
+
+let bind_array = ({value: elements}, env, value) => when(is_iter(value))
+  ? reduce(
+    bind_element([...value]),
+    env,
+    Ducers.zip(elements, range(count(elements))))
+  : raise(TypeError, `Only iterables may be destructured with an array pattern. You gave: ${show(value)}.`);
+
+let prop_key = (prop) => get_in(prop, ['value', 'key', 'value']);
+
+// a rest takes every key not already destructured
+let bind_prop = (props, value) => (env, prop) => when(eq('rest', get('type', prop)))
+  ? bind_pattern(get('value', prop), env, reduce(
+    (obj, key) => Obj.dissoc(obj, key),
+    value,
+    into([], comp(filter((prop) => not(eq('rest', get('type', prop)))), map(prop_key)), props)))
+  : bind_pattern(get_in(prop, ['value', 'pattern']), env, get(prop_key(prop), value));
+
+let bind_object = ({value: props}, env, value) => when(is_some(value))
+  ? reduce(bind_prop(props, value), env, props)
+  : raise(TypeError, `Only values that are not undefined may be destructured with an object pattern. You gave: ${show(value)}.`);
+
+let pattern_binders = {
+  'identifier': bind_identifier,
+  'default': bind_default,
+  'array_pattern': bind_array,
+  'object_pattern': bind_object
+};
+
+set_bind_pattern(fn({
+  name: 'bind_pattern',
+  doc: 'Binds the names in a pattern AST node to the parts of a value they destructure, in an environment, mutating the environment. Returns the environment.',
+  pre: args([at('type', is_str), env_s, is_any]),
+  body: (pattern, env, value) => {
+    let binder = get(get('type', pattern), pattern_binders);
+    return when(binder)
+      ? binder(pattern, env, value)
+      : raise(`The interpreter does not know how to bind a pattern of type ${get('type', pattern)}.`);
+  }
+}));
+
+////////// Functions
+// as in JS, a function's arity counts its params up to the first default or rest
+let is_optional = (param) => is_some(Arr.index_of(['default', 'rest'], get('type', param)));
+
+let arity_of = (params) => cond(params,
+  [is_empty, just(0)],
+  [pipe(first, is_optional), just(0)],
+  [is_any, (params) => inc(arity_of(rest(params)))]
+);
+
+// a function closes over the environment it is defined in
+// each call binds its params in a fresh child of that environment,
+// as though they were an array pattern, destructuring the arguments
+let make_fn = (name, doc, {value: {params, body}}, env) => {
+  let arity = arity_of(get('value', params));
+  let params_pattern = {type: 'array_pattern', value: get('value', params)};
+  return fn({name, doc, body: (...args) => when(lt(count(args), arity))
+    ? raise(`Wrong number of arguments to ${name}. It takes ${arity} argument(s), but received ${count(args)}.`)
+    : evaluate(body, bind_pattern(params_pattern, child_env(env), args))});
+};
+
+let eval_function = (node, env) => make_fn('anon. fn', undefined, node, env);
+
+let eval_fn_body = ({value}, env) => evaluate(value, env);
+
+// a pure block ends with a `return`, and evaluates to the returned value
+// an effect block has no `return`, and evaluates to `undefined`
+let eval_block = ({value}, env) => {
+  let result = reduce((_, statement) => evaluate(statement, env), undefined, value);
+  return when(eq('return', get('type', Arr.last(value))))
+    ? result
+    : undefined;
+};
+
+////////// Match
+// An arm's pattern either matches a value, giving the names it binds, as
+// an object of names to values, or it does not, giving `undefined`.
+let [match_pattern, set_match_pattern] = forward('match_pattern');
+
+let is_rest = (pattern) => eq('rest', get('type', pattern));
+
+// patterns that each match a value all match, binding all their names
+let match_all = (env, pairs) => reduce(
+  (bound, [pattern, value]) => when(is_undef(bound))
+    ? undefined
+    : call(() => {
+      let more = match_pattern(pattern, env, value);
+      return when(is_undef(more)) ? undefined : merge(bound, more);
+    }),
+  {},
+  pairs);
+
+let match_length = (elements, value) => when(is_rest(Arr.last(elements)))
+  ? gte(count(value), dec(count(elements)))
+  : is_identical(count(value), count(elements));
+
+let element_pairs = (elements, value) => {
+  let fixed = into([], filter((element) => not(is_rest(element))), elements);
+  let rest_pairs = when(is_rest(Arr.last(elements)))
+    ? [[get('value', Arr.last(elements)), Arr.slice(value, count(fixed))]]
+    : [];
+  return [...into([], map((index) => [get(index, fixed), get(index, value)]), range(count(fixed))), ...rest_pairs];
+};
+
+let match_array = ({value: elements}, env, value) => cond(value,
+  [(value) => not(is_arr(value)), just(undefined)],
+  [(value) => not(match_length(elements, value)), just(undefined)],
+  [is_any, (value) => match_all(env, element_pairs(elements, value))]
+);
+
+let prop_pairs = (props, value) => {
+  let keyed = into([], filter((prop) => not(is_rest(prop))), props);
+  let rest_pairs = when(is_rest(Arr.last(props)))
+    ? [[get('value', Arr.last(props)), reduce((obj, key) => Obj.dissoc(obj, key), value, into([], map(prop_key), keyed))]]
+    : [];
+  return [...into([], map((prop) => [get_in(prop, ['value', 'pattern']), get(prop_key(prop), value)]), keyed), ...rest_pairs];
+};
+
+let has_keys = (props, value) => every(
+  (prop) => Preds.has(prop_key(prop), value),
+  into([], filter((prop) => not(is_rest(prop))), props));
+
+let match_object = ({value: props}, env, value) => cond(value,
+  [(value) => not(is_obj(value)), just(undefined)],
+  [(value) => not(has_keys(props, value)), just(undefined)],
+  [is_any, (value) => match_all(env, prop_pairs(props, value))]
+);
+
+// an enumeration's values are boxed twice: the enumeration's type boxes
+// the variant's type, which boxes the variant's value
+// an enumeration may be named by its type or by its namespace
+let variant_names = (enum_type) => into([], map(get('name')), values(get('variants', enum_type)));
+
+let is_variant = (enum_type, variant, value) => and(
+  is_identical(enum_type, type_of(value)),
+  eq(variant, get('name', type_of(get('value', value)))));
+
+let match_variant = ({value: {enum: path, variant, pattern}}, env, value) => {
+  let named = evaluate(path, env);
+  let enum_type = Enum.enum_type(named);
+  return cond(value,
+    [() => is_undef(enum_type),
+      () => raise(TypeError, `${show(named)} is not an enumeration, so it has no variants to match.`)],
+    [() => not(is_some(Arr.index_of(variant_names(enum_type), variant))),
+      () => raise(ReferenceError, `${get('name', enum_type)} has no variant ${variant}.`)],
+    [(value) => not(is_variant(enum_type, variant, value)), just(undefined)],
+    [() => is_undef(pattern), just({})],
+    [is_any, (value) => match_pattern(pattern, env, get_in(value, ['value', 'value']))]
+  );
+};
+
+let matchers = {
+  'wildcard': just({}),
+  'identifier': ({value: name}, env, value) => assoc({}, name, value),
+  'atom': ({value: literal}, env, value) => when(is_identical(literal, value)) ? {} : undefined,
+  'variant_pattern': match_variant,
+  'array_pattern': match_array,
+  'object_pattern': match_object
+};
+
+set_match_pattern((pattern, env, value) => get(get('type', pattern), matchers)(pattern, env, value));
+
+// the first arm whose pattern matches is evaluated, with the names its
+// pattern binds bound in a child of the match's environment
+let eval_arms = (arms, env, subject) => cond(arms,
+  [is_empty, () => raise(`No arm of match matches ${show(subject)}.`)],
+  [is_any, ([arm, ...others]) => {
+    let {pattern, body} = get('value', arm);
+    let bound = match_pattern(pattern, env, subject);
+    return when(is_undef(bound))
+      ? eval_arms(others, env, subject)
+      : evaluate(body, reduce((arm_env, [name, value]) => bind(arm_env, name, value), child_env(env), entries(bound)));
+  }]
+);
+
+let eval_match = ({value: {subject, arms}}, env) => eval_arms(arms, env, evaluate(subject, env));
+
+////////// Statements
+let fn_literal = (expression) => when(eq('function', get_in(expression, ['value', 'type'])))
+  ? get('value', expression)
+  : undefined;
+
+// `let f = () => ...;` names the function `f`, as it would in JS
+// a doc comment before it is its doc
+let eval_let = ({value: {pattern, expression, doc}}, env) => {
+  let literal = when(eq('identifier', get('type', pattern)))
+    ? fn_literal(expression)
+    : undefined;
+  bind_pattern(pattern, env, when(literal)
+    ? make_fn(get('value', pattern), doc, literal, env)
+    : evaluate(expression, env));
+  return undefined;
+};
+
+let eval_statement = ({value}, env) => evaluate(value, env);
+
+let eval_return = ({value}, env) => evaluate(value, env);
+
+// a file parsed in recovery mode may have statements that did not parse
+let eval_error = ({value: {message}}) => raise(SyntaxError, message);
+
+let evaluators = {
+  'atom': eval_atom,
+  'identifier': eval_identifier,
+  'expression': eval_expression,
+  'template': eval_template,
+  'js': eval_js,
+  'ns_access': eval_ns_access,
+  'array': eval_array,
+  'object': eval_object,
+  'call': eval_call,
+  'when': eval_when,
+  'match': eval_match,
+  'function': eval_function,
+  'fn_body': eval_fn_body,
+  'block': eval_block,
+  'let': eval_let,
+  'statement': eval_statement,
+  'return': eval_return,
+  'error': eval_error
+};
+
+set_evaluate(fn({
+  name: 'evaluate',
+  doc: 'Evaluates an AST node in an environment. Returns the value of the node. Note that `let` statements mutate the environment, binding a new name in it.',
+  pre: args([at('type', is_str), env_s]),
+  body: (node, env) => {
+    let evaluator = get(get('type', node), evaluators);
+    return when(evaluator)
+      ? evaluator(node, env)
+      : raise(`The interpreter does not know how to evaluate a node of type ${get('type', node)}.`);
+  }
+}));
+
+////////// Modules
+// A module is an object: its named exports at their names, and its
+// default export at `default`, like an ES module namespace object.
+// Imports bind names from modules that have already been loaded;
+// `modules` maps import paths to modules.
+
+// the prelude is always already loaded
+let preloaded = {'@ludus/prelude': {default: Ludus}};
+
+let module_for = (imported, modules) => {
+  let module = or(get(imported, modules), get(imported, preloaded));
+  return when(module)
+    ? module
+    : raise(`Module ${imported} has not been loaded.`);
+};
+
+let import_name = (module, imported) => (name) => when(has_key(name, module))
+  ? get(name, module)
+  : raise(ReferenceError, `${imported} does not export ${name}.`);
+
+let has_key = (key, obj) => is_some(Arr.index_of(keys(obj), key));
+
+// imported and exported names may be aliases: `foo as bar`
+let is_alias = (node) => eq('alias', get('type', node));
+
+let original_name = (node) => when(is_alias(node))
+  ? get_in(node, ['value', 'name', 'value'])
+  : get('value', node);
+
+let alias_name = (node) => when(is_alias(node))
+  ? get_in(node, ['value', 'alias', 'value'])
+  : get('value', node);
+
+let eval_imports = ({value: {imports, imported}}, {env, modules, exports}) => {
+  let import_from = import_name(module_for(imported, modules), imported);
+  return {
+    env: reduce(
+      (env, name) => bind(env, alias_name(name), import_from(original_name(name))),
+      env,
+      imports),
+    modules, exports};
+};
+
+let eval_ns_import = ({value: {ns_name, imported}}, {env, modules, exports}) => {
+  define(env, ns_name, get('default', module_for(imported, modules)));
+  return {env, modules, exports};
+};
+
+let eval_bare_import = ({value: {imported}}, {env, modules, exports}) => {
+  module_for(imported, modules);
+  return {env, modules, exports};
+};
+
+let eval_exports = ({value: {exported}}, {env, modules, exports}) => ({
+  env, modules,
+  exports: reduce(
+    (exports, name) => assoc(exports, alias_name(name), resolve_name(original_name(name), env)),
+    exports,
+    exported)
+});
+
+let eval_ns_export = ({value: {args}}, {env, modules, exports}) => ({
+  env, modules,
+  exports: assoc(exports, 'default',
+    apply(resolve_name('ns', env), into([], map((arg) => evaluate(arg, env)), args)))
+});
+
+let module_evaluators = {
+  'imports': eval_imports,
+  'ns_import': eval_ns_import,
+  'bare_import': eval_bare_import,
+  'exports': eval_exports,
+  'ns_export': eval_ns_export
+};
+
+// everything else is evaluated for its effects on the file's environment
+let eval_in_module = (node, state) => {
+  evaluate(node, get('env', state));
+  return state;
+};
+
+let eval_top_level = (state, node) => {
+  let module_evaluator = get(get('type', node), module_evaluators);
+  return when(module_evaluator)
+    ? module_evaluator(node, state)
+    : eval_in_module(node, state);
+};
+
+let eval_file = fn({
+  name: 'eval_file',
+  doc: 'Evaluates the AST of a Ludus file. Takes the AST, and optionally an object of already-loaded modules keyed by import path, and an environment to evaluate the file in (by default, a fresh child of the global environment). Returns an object with the environment the file was evaluated in, at `env`, and its exports, at `exports`.',
+  pre: args([at('type', eq('ludus file'))], [at('type', eq('ludus file')), is_obj], [at('type', eq('ludus file')), is_obj, env_s]),
+  body: [
+    (ast) => eval_file(ast, {}),
+    (ast, modules) => eval_file(ast, modules, env(global_env())),
+    (ast, modules, env) => {
+      let {exports} = reduce(eval_top_level, {env, modules, exports: {}}, get('value', ast));
+      return {env, exports};
+    }
+  ]
+});
+
+let run = fn({
+  name: 'run',
+  doc: 'Parses and evaluates a string of Ludus source. Takes an optional object of already-loaded modules, keyed by import path. Returns an object with the environment the source was evaluated in, at `env`, and its exports, at `exports`.',
+  pre: args([is_str], [is_str, is_obj]),
+  body: [
+    (source) => run(source, {}),
+    (source, modules) => eval_file(parse(source), modules)
+  ]
+});
+
+///// Files
+// Loading modules is asynchronous: JS modules have to be `import`ed.
+// So we load everything a file imports before evaluating it.
+let import_paths = (ast) => into([],
+  comp(
+    filter((node) => is_some(Arr.index_of(['imports', 'ns_import', 'bare_import'], get('type', node)))),
+    map((node) => get_in(node, ['value', 'imported']))),
+  get('value', ast));
+
+let is_relative = (path) => or(Str.starts_with('.', path), Str.starts_with('/', path));
+
+let is_ludus_path = Str.ends_with('.ld');
+
+let load_module = async (imported, dir) => {
+  let path = when(is_relative(imported)) ? resolve(dir, imported) : imported;
+  return when(get(imported, preloaded))
+    ? get(imported, preloaded)
+    : when(is_ludus_path(path))
+      ? get('exports', await run_file(path))
+      : import(when(is_relative(imported)) ? str(pathToFileURL(path)) : imported);
+};
+
+let load_modules = fn({
+  name: 'load_modules',
+  doc: 'Loads every module imported by the AST of a Ludus file, resolving relative paths against a directory. Returns a promise of an object of modules, keyed by import path, suitable for `eval_file`.',
+  pre: args([at('type', eq('ludus file')), is_str]),
+  body: async (ast, dir) => {
+    let paths = import_paths(ast);
+    let loaded = await Promise.all(map((imported) => load_module(imported, dir), paths));
+    return into({}, Ducers.zip(paths, loaded));
+  }
+});
+
+let run_file = fn({
+  name: 'run_file',
+  doc: 'Reads, parses, and evaluates a Ludus file at a path. Loads everything the file imports first: `.ld` files are themselves interpreted; everything else is `import`ed as a JS module. Returns a promise of an object with the environment the file was evaluated in, at `env`, and its exports, at `exports`.',
+  pre: args([is_str]),
+  body: async (path) => {
+    let source = await readFile(path, 'utf8');
+    let ast = parse(source);
+    let modules = await load_modules(ast, dirname(path));
+    return eval_file(ast, modules);
+  }
+});
+
+export default ns({
+  name: 'Ludus_Interpreter',
+  members: {
+    env, global_env, lookup, is_bound, define,
+    evaluate, eval_file, run, load_modules, run_file
+  }
+});
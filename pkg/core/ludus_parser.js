@@ -3,17 +3,20 @@
 // It turns out it's reasonably easy
 
 // TODOs:
-// [ ] destructuring assignment in `let`s
-// [ ] destructuring assignment in params
-// [ ] `as` aliases in imports and exports
+// [*] destructuring assignment in `let`s
+// [*] destructuring assignment in params
+// [*] `as` aliases in imports and exports
 // [*] comments
+//     ^ kept as trivia on the following statement; doc comments document `let` functions
 // [?] factor out lists, brackets
 // [*] move forward references elsewhere (Fn? Parse? -> Ref)
 // [*] fix namespace export
 // [*] build AST from parsers
-// [ ] add template strings
-// [ ] add `js` to skip parsing
+// [*] add template strings
+// [*] add `js` to skip parsing
 // [-] start working on good errors
+//     ^ syntax errors report the furthest failure, what was expected, and a code frame
+//     ^ `parse_all` recovers from errors, reporting all of them in one pass
 // [*] distinguish between effectful functions and non-effectful ones
 //     ^ you either get a return statement or one or more bare expressions
 //     ^ maybe? you can get around this very easily: let foo = swap...
@@ -22,7 +25,11 @@
 import '../prelude/prelude.js';
 import Parse from './parse.js';
 
-let {string, label, and_then, parse_char, opt, many, digit, run, map_parser, char_in_range, satisfy, many1, or_else, between, whitespace, line_break, sep_by, lowercase, uppercase, sep_by1, keep_first, keep_second, eof} = Parse;
+let {string, label, and_then, parse_char, opt, many, digit, run, map_parser, char_in_range, satisfy, many1, or_else, between, whitespace, line_break, sep_by, lowercase, uppercase, sep_by1, keep_first, keep_second, eof, no_op, not_followed_by, with_span, hidden, token, recover, format_error, format_failure} = Parse;
+
+// AST nodes know what span of the source they were parsed from
+// nodes are built by `map_parser`; `with_span` attaches the span at `span`
+let node = (f, parser) => with_span(Fn.rename(get('name', parser), map_parser(f, parser)));
 
 // forward references for recursive parsers
 let [literal, set_literal] = forward('literal');
@@ -30,27 +37,102 @@ let [literal, set_literal] = forward('literal');
 let [expression, set_expression] = forward('expression');
 
 ////////// Comments
-let not_br = satisfy('not_br', not(or(eq('\n'), eq('\r'))));
+// the end of the file ends a line, too
+let not_br = satisfy('not_br', (char) => and(
+  is_some(char),
+  not(or(eq('\n', char), eq('\r', char)))));
+
+// a comment's result is its text, slashes, stars and all
+let comment_text = pipe(flatten, Str.from);
 
 ///// inline comments
-let inline_comment = between(
+// an inline comment runs up to, but not including, the end of its line
+let inline_comment = map_parser(comment_text, and_then(
   string('//'),
-  line_break,
-  many(not_br));
+  many(not_br)));
+
+///// block comments
+let block_char = or_else(
+  satisfy('any', (char) => and(is_some(char), not(eq('*', char)))),
+  not_followed_by(parse_char('*'), parse_char('/')));
 
-let block_comment = between(
+let block_comment = map_parser(comment_text, and_then([
   string('/*'),
-  string('*/'),
-  satisfy('any', is_any));
+  many(block_char),
+  string('*/')]));
 
 let comment = label('comment', or_else(inline_comment, block_comment));
 
+///// trivia
+// Comments are kept in the AST as trivia, attached to the statement
+// that follows them, at `comments`. Comments after the last statement
+// of a block or file are attached to it, at `end_comments`.
+// A doc comment, `/** ... */`, right before a `let` that binds a
+// function, is that function's documentation, at the `let`'s `doc`.
+let comment_node = node(
+  (value) => ({type: 'comment', value}),
+  comment);
+
+let trivia = hidden(label('whitespace', map_parser(
+  (result) => [...filter(is_obj, flatten(result))],
+  many(or_else([comment_node, whitespace, line_break])))));
+
+let with_comments = (key, node, comments) => when(is_empty(comments))
+  ? node
+  : assoc(node, key, comments);
+
+let is_doc_comment = (comment) => and(
+  Str.starts_with('/**', get('value', comment, '')),
+  not(eq('/**/', get('value', comment))));
+
+// the doc is the comment's text, less its stars and surrounding whitespace
+let undecorate = (line) => when(Str.starts_with('*', trim(line)))
+  ? trim(Str.slice(trim(line), 1))
+  : trim(line);
+
+let doc_text = (comment) => {
+  let text = get('value', comment);
+  let lines = split('\n', Str.slice(text, 3, sub(count(text), 2)));
+  return trim(Str.from(into([], map(undecorate), lines), '\n'));
+};
+
+let is_fn_let = (node) => and(
+  eq('let', get('type', node)),
+  eq('identifier', get_in(node, ['value', 'pattern', 'type'])),
+  eq('function', get_in(node, ['value', 'expression', 'value', 'type'])));
+
+let with_doc = (node, comments) => when(and(is_fn_let(node), is_doc_comment(Arr.last(comments))))
+  ? assoc(node, 'value', assoc(get('value', node), 'doc', doc_text(Arr.last(comments))))
+  : node;
+
+// a statement parser, with its leading trivia
+let with_trivia = (parser) => Fn.rename(get('name', parser), map_parser(
+  ([comments, node]) => with_comments('comments', with_doc(node, comments), comments),
+  and_then(trivia, parser)));
+
+// the end of a block or a file is marked, with the comments before it
+let end_marker = (comments) => ({type: 'end', value: comments});
+
+let is_end = (node) => eq('end', get('type', node));
+
+// a file with nothing but trivia is just its end marker, not in a list
+let ends_with_comments = (type) => (result) => {
+  let nodes = [...filter(is_obj, flatten([result]))];
+  return with_comments('end_comments',
+    {type, value: [...filter((node) => not(is_end(node)), nodes)]},
+    get('value', Arr.last(nodes)));
+};
+
 ///// whitespace parsers
-let single_ws = or_else(whitespace, comment);
+// whitespace is allowed nearly everywhere, so it is hidden from error reports
+let single_ws = hidden(or_else(whitespace, comment));
+
+let ws = hidden(label('whitespace', many(single_ws)));
 
-let ws = label('whitespace', many(single_ws));
+let wsl = hidden(label('whitespace', many(or_else(single_ws, line_break))));
 
-let wsl = label('whitespace', many(or_else(single_ws, line_break)));
+// the spaces that must follow a keyword
+let spaces = hidden(label('whitespace', many1(whitespace)));
 
 ////////// Atoms
 
@@ -105,13 +187,15 @@ let exp_p = and_then([
   int_p
 ]);
 
-let num_p = map_parser(
+// a number is one thing to expect, so that `1` does not report
+// expecting `.`, `e`, or a digit after it
+let num_p = token('number', map_parser(
   pipe(
     partial(flatten, keep(id)),
     Str.from,
     num
   ),
-  or_else([float_p, exp_p, infinity_p, int_p]));
+  or_else([float_p, exp_p, infinity_p, int_p])));
 
 ///// Strings
 // special escape pairs
@@ -125,7 +209,8 @@ let escape_pairs = [
   ['\\f', '\f'],    // form feed
   ['\\r', '\r'],    // carriage return
   ['\\n', '\n'],    // newline
-  ['\\t', '\t']     // tab
+  ['\\t', '\t'],    // tab
+  ['\\$', '$']      // dollar sign, for templates
 ];
 
 // turn this mapping into a parser
@@ -136,28 +221,57 @@ let escape_p = or_else(
 
 let unescaped_single = satisfy(
   'unescaped char: single quote', 
-  not(or(eq('\\'), eq('\''), eq('\n'))));
+  (char) => and(is_some(char), not(or(eq('\\'), eq('\''), eq('\n'))(char))));
 
 let single_q = between(
   parse_char("'"),
   parse_char("'"),
-  many(or_else(unescaped_single, escape_p)));
+  many(label('string character', or_else(unescaped_single, escape_p))));
 
 let unescaped_double = satisfy(
   'unescaped char: double quote',
-  not(or(eq('\"'), eq('\\'), eq('\n'))));
+  (char) => and(is_some(char), not(or(eq('\"'), eq('\\'), eq('\n'))(char))));
 
 let double_q = between(
   parse_char('"'),
   parse_char('"'),
-  many(or_else(unescaped_double, escape_p)));
+  many(label('string character', or_else(unescaped_double, escape_p))));
 
 let str_p = label('string', 
   map_parser(
     pipe(flatten, Str.from),
     or_else(single_q, double_q)));
 
-let atom = label('atom', map_parser(
+///// Template strings
+// `Hello, ${name}!` => {type: 'template', value: ['Hello, ', <expression>, '!']}
+// strings and expressions alternate; a template may have line breaks
+let template_char = satisfy(
+  'unescaped char: template',
+  (char) => and(is_some(char), not(or(eq('`'), eq('\\'), eq('$'))(char))));
+
+// a `$` is just a `$`, unless it opens an interpolation
+let lone_dollar = not_followed_by(parse_char('$'), parse_char('{'));
+
+let interpolation = label('interpolation', between(
+  and_then(string('${'), wsl),
+  and_then(wsl, parse_char('}')),
+  expression));
+
+// consecutive characters join up into a single string
+let join_chars = (chunks, chunk) => when(and(is_str(chunk), is_str(Arr.last(chunks))))
+  ? [...Arr.slice(chunks, 0, dec(count(chunks))), str(Arr.last(chunks), chunk)]
+  : [...chunks, chunk];
+
+let template_p = label('template string', node(
+  (result) => ({type: 'template', value: reduce(join_chars, [], flatten(result))}),
+  between(
+    parse_char('`'),
+    parse_char('`'),
+    many(or_else([
+      interpolation,
+      label('template character', or_else([template_char, escape_p, lone_dollar]))])))));
+
+let atom = label('atom', node(
   (value) => ({type: 'atom', value}),
   or_else([undef_p, bool_p, num_p, str_p])));
 
@@ -186,7 +300,7 @@ let id_init = or_else([lowercase, underscore, dollar]);
 let id_rest = or_else([lowercase, uppercase, underscore, dollar, digit]);
 
 let identifier = label('identifier', 
-  map_parser(
+  node(
     pipe(flatten, Str.from, (name) => ({type: 'identifier', value: name})), 
     and_then(id_init, many(id_rest))));
 
@@ -196,12 +310,19 @@ let ns_name = and_then([
   many(id_rest)]);
 
 // and they allow dot-access
-let ns_dot_id = and_then([
-  many1(and_then(ns_name, parse_char('.'))),
-  identifier]);
+// `Ludus.Str.from` => {ns: ['Ludus', 'Str'], member: from}
+let ns_dot_id = label('namespace access', node(
+  ([ns_names, member]) => ({type: 'ns_access', value: {
+    ns: [...flatten(ns_names)],
+    member}}),
+  and_then([
+    many1(map_parser(
+      pipe(first, flatten, Str.from),
+      and_then(ns_name, parse_char('.')))),
+    identifier])));
 
 ///// Arrays
-let arr_p = label('array', map_parser(
+let arr_p = label('array', node(
   (result) => when(result) 
     ? {type: 'array', value: [...result]} 
     : {type: 'array', value: []},
@@ -217,19 +338,19 @@ let arr_p = label('array', map_parser(
 let colon_assignment = and_then([
   wsl, parse_char(':'), wsl]);
 
-let key_value = label('key_value', map_parser(
+let key_value = label('key_value', node(
   ([key, value]) => ({type: 'pair', value: [key, value]}),
   and_then([
-    keep_first(or_else(identifier, map_parser(
+    keep_first(or_else(identifier, node(
         (value) => ({type: 'atom', value}), str_p)), 
       colon_assignment), 
     expression])));
 
-let splat = label('splat', map_parser(
+let splat = label('splat', node(
   (value) => ({type: 'splat', value}),
   keep_second(spread, identifier)));
 
-let obj_p = label('object', map_parser(
+let obj_p = label('object', node(
   (value) => ({type: 'object', value}),
   between(
     and_then(parse_char('{'), opt(wsl)),
@@ -242,7 +363,7 @@ let obj_p = label('object', map_parser(
 // We talk about "function literals," but we defer them
 // to their own section
 set_literal(label('literal', or_else([
-  atom, arr_p, obj_p])));
+  atom, template_p, arr_p, obj_p])));
 
 ////////// Parens around expressions
 // We will need this for function invocation:
@@ -253,40 +374,116 @@ let paren_exp = between(
   and_then(wsl, parse_char(')')),
   expression);
 
+////////// Patterns
+// Destructuring patterns, for `let`s and params. A pattern is a name,
+// or an array or object pattern, which may nest.
+// - in array and object patterns, a pattern may have a default: `x = 1`
+// - the last element of an array or object pattern may be a rest: `...xs`
+let [pattern, set_pattern] = forward('pattern');
+
+let default_value = keep_second(
+  and_then([ws, parse_char('='), wsl]),
+  expression);
+
+let defaulted = label('default', node(
+  ([pattern, value]) => ({type: 'default', value: {pattern, default: value}}),
+  and_then(pattern, default_value)));
+
+let rest_pattern = label('rest', node(
+  (value) => ({type: 'rest', value}),
+  keep_second(spread, identifier)));
+
+// a rest may only come last
+let pattern_list = (element) => or_else([
+  map_parser(
+    ([elements, rest]) => when(rest) ? [...elements, rest] : [...elements],
+    and_then(
+      sep_by1(comma_separator, element),
+      opt(keep_second(comma_separator, rest_pattern)))),
+  map_parser((rest) => [rest], rest_pattern),
+  no_op]);
+
+///// Array patterns
+// array and object patterns are made from their elements, so that
+// `match` patterns can be made from the same parsers
+let array_pattern_of = (element) => label('array pattern', node(
+  (value) => ({type: 'array_pattern', value: or(value, [])}),
+  between(
+    and_then(parse_char('['), wsl),
+    and_then(wsl, parse_char(']')),
+    keep_first(
+      pattern_list(element),
+      trailing_comma))));
+
+let array_pattern = array_pattern_of(or_else(defaulted, pattern));
+
+///// Object patterns
+// `{a: [b, c]}` binds `b` and `c` from the value at key `a`
+let keyed_prop_of = (value_pattern) => node(
+  ([key, pattern]) => ({type: 'prop_pattern', value: {key, pattern}}),
+  and_then(
+    keep_first(or_else(identifier, node(
+        (value) => ({type: 'atom', value}), str_p)),
+      colon_assignment),
+    value_pattern));
+
+let keyed_prop = keyed_prop_of(or_else(defaulted, pattern));
+
+// `{a}` binds `a` from the value at key `a`, as does `{a = 1}`
+let default_id = node(
+  ([pattern, value]) => ({type: 'default', value: {pattern, default: value}}),
+  and_then(identifier, default_value));
+
+let shorthand_prop = node(
+  (pattern) => ({
+    type: 'prop_pattern',
+    value: {
+      key: when(eq('default', get('type', pattern)))
+        ? get_in(pattern, ['value', 'pattern'])
+        : pattern,
+      pattern}}),
+  or_else(default_id, identifier));
+
+let object_pattern_of = (prop) => label('object pattern', node(
+  (value) => ({type: 'object_pattern', value: or(value, [])}),
+  between(
+    and_then(parse_char('{'), wsl),
+    and_then(wsl, parse_char('}')),
+    keep_first(
+      pattern_list(prop),
+      trailing_comma))));
+
+let object_pattern = object_pattern_of(or_else(keyed_prop, shorthand_prop));
+
+set_pattern(label('pattern', or_else([
+  identifier, array_pattern, object_pattern])));
+
 ////////// Functions
 
 ///// Function definition
 // a cute little arrow
 let arrow = and_then([ws, string('=>'), wsl]);
 
-// this will get more complex
-// TODO: 
-// [ ] array destructuring
-// [ ] object destructuring
-// [ ] rest arguments 
-let arg_assignment = identifier;
-
 // function parameters
-let fn_params = label('params', map_parser(
-  (value) => when(value) 
-    ? {type: 'params', value}
-    : {type: 'params', value: []},
+// params are patterns, which may have defaults, and the last may be a rest
+let fn_params = label('params', node(
+  (value) => ({type: 'params', value: or(value, [])}),
   between(
     parse_char('('),
     parse_char(')'),
     keep_first(
-      sep_by(comma_separator, arg_assignment),
+      pattern_list(or_else(defaulted, pattern)),
       trailing_comma))));
 
 // forward reference for a block, which requires statements
 let [block, set_block] = forward('block');
 
-let fn_body = label('fn body', map_parser(
+let fn_body = label('fn body', node(
   (value) => ({type: 'fn_body', value}),
   or_else(block, expression)));
 
 let fn_def = label('function definition',
-  map_parser(
+  node(
     ([params, body]) => ({type: 'function', value: {params, body}}),
     and_then(keep_first(fn_params, arrow), fn_body)));
 
@@ -298,7 +495,7 @@ let callable = or_else([
 
 let when_undef = (x, default_value) => when(is_undef(x)) ? default_value : x;
 
-let fn_call = label('function call', map_parser(
+let fn_call = label('function call', node(
   ([called, args]) => ({type: 'call', 
     value: {called, args: when_undef(args, [])}}),
   and_then(
@@ -314,7 +511,7 @@ let fn_call = label('function call', map_parser(
 // when is Ludus's conditional form
 // it must be followed by a ternary expression
 // ternary expressions can only follow when
-let when_exp = label('when expression', map_parser(
+let when_exp = label('when expression', node(
   ([[condition, if_true], if_false]) => ({
     type: 'when',
     value: {condition, if_true, if_false}
@@ -330,12 +527,108 @@ let when_exp = label('when expression', map_parser(
       and_then([wsl, parse_char(':'), wsl]), 
       expression)]))); // if false 
 
-let js = undefined; // TODO
+///// match
+// match is Ludus's pattern-matching form: it tries each arm's pattern
+// against a value in turn, and evaluates the body of the first that
+// matches, with the names the pattern binds
+// match(shape) {
+//   Shape.Circle({radius}) => mult(radius, radius, 3),
+//   Shape.Square(side) => mult(side, side),
+//   _ => 0
+// }
+// Arm patterns are refutable, unlike `let` patterns:
+// - `_` matches anything, and binds nothing
+// - a name matches anything, and binds it
+// - a literal matches a value equal to it
+// - `Enum.Variant` matches that variant of an enumeration, and
+//   `Enum.Variant(pattern)` also matches the variant's value to a pattern
+// - an array pattern matches an array with exactly as many elements, or
+//   at least as many, if it ends with a rest
+// - an object pattern matches an object with all of its keys
+let [match_pattern, set_match_pattern] = forward('match_pattern');
+
+let wildcard = label('_', node(
+  () => ({type: 'wildcard'}),
+  not_followed_by(underscore, id_rest)));
+
+// `Enum.Variant`: the path to the enumeration may begin with a name or
+// a namespace, but the variant is always capitalized
+let ns_word = map_parser(pipe(flatten, Str.from), ns_name);
+
+let enum_path = (path) => when(is_identical(1, count(path)))
+  ? {type: 'identifier', value: first(path)}
+  : {type: 'ns_access', value: {
+    ns: [...Arr.slice(path, 0, dec(count(path)))],
+    member: {type: 'identifier', value: Arr.last(path)}}};
+
+let variant_pattern = label('variant pattern', node(
+  ([[head, path], pattern]) => {
+    let names = [get('value', head, head), ...flatten(path)];
+    return {type: 'variant_pattern', value: {
+      enum: enum_path(Arr.slice(names, 0, dec(count(names)))),
+      variant: Arr.last(names),
+      pattern}};
+  },
+  and_then(
+    and_then(
+      or_else(identifier, ns_word),
+      many1(keep_second(parse_char('.'), ns_word))),
+    opt(between(
+      and_then(parse_char('('), wsl),
+      and_then(wsl, parse_char(')')),
+      match_pattern)))));
+
+// match patterns have no defaults
+let match_array = array_pattern_of(match_pattern);
+
+let match_shorthand_prop = node(
+  (key) => ({type: 'prop_pattern', value: {key, pattern: key}}),
+  identifier);
+
+let match_object = object_pattern_of(
+  or_else(keyed_prop_of(match_pattern), match_shorthand_prop));
+
+set_match_pattern(label('pattern', or_else([
+  wildcard, atom, variant_pattern, identifier, match_array, match_object])));
+
+let match_arm = label('match arm', node(
+  ([pattern, body]) => ({type: 'arm', value: {pattern, body}}),
+  and_then(keep_first(match_pattern, arrow), fn_body)));
 
-set_expression(label('expression', map_parser(
+let match_exp = label('match expression', node(
+  ([subject, arms]) => ({type: 'match', value: {subject, arms: [...arms]}}),
+  and_then(
+    keep_second(
+      and_then(string('match'), ws),
+      keep_first(paren_exp, ws)),
+    between(
+      and_then(parse_char('{'), wsl),
+      and_then(wsl, parse_char('}')),
+      keep_first(sep_by1(comma_separator, match_arm), trailing_comma)))));
+
+///// js
+// js`...` is an escape hatch: whatever is between the backticks is a JS
+// expression, kept verbatim, and not parsed as Ludus
+// a backtick in the JS is escaped with a backslash: js`\`tpl\``
+let js_char = satisfy(
+  'unescaped char: js',
+  (char) => and(is_some(char), not(eq('`', char))));
+
+let js_backtick = map_parser(just('`'), string('\\`'));
+
+let js_exp = label('js', node(
+  (result) => ({type: 'js', value: Str.from(flatten(result))}),
+  keep_second(
+    string('js'),
+    between(
+      parse_char('`'),
+      parse_char('`'),
+      many(label('js character', or_else(js_backtick, js_char)))))));
+
+set_expression(label('expression', node(
   (value) => ({type: 'expression', value}),
   or_else([
-    literal, when_exp, fn_call, identifier, ns_dot_id, fn_def, paren_exp]))));
+    literal, when_exp, match_exp, js_exp, fn_call, identifier, ns_dot_id, fn_def, paren_exp]))));
 
 ////////// Statements
 
@@ -344,31 +637,32 @@ let sem = label('end of statement', and_then(ws, parse_char(';')));
 
 ///// Expression statement
 // an expression, plus a semicolon: 'foo';
-let expr_stm = label('expr stm', map_parser(
+let expr_stm = label('expr stm', with_trivia(node(
   (value) => ({type: 'statement', value}),
-  between(wsl, sem, expression)
-));
+  keep_first(expression, sem)
+)));
 
 // let statement
 // let foo = bar;
-let let_stm = label('let stm', map_parser(
-  ([identifier, expression]) => 
-    ({type: 'let', value: {identifier, expression}}),
+// let [x, y] = foo;
+let let_stm = label('let stm', with_trivia(node(
+  ([pattern, expression]) => 
+    ({type: 'let', value: {pattern, expression}}),
   and_then(
     keep_second(
-      and_then([wsl, string('let'), many1(whitespace)]),
-      identifier),
+      and_then(string('let'), spaces),
+      pattern),
     keep_second(
       and_then([ws, parse_char('='), wsl]),
-      keep_first(expression, sem)))));
+      keep_first(expression, sem))))));
 
 // return statement
 // return add(1, 2);
-let return_stm = label('return', map_parser(
+let return_stm = label('return', with_trivia(node(
   (value) => ({type: 'return', value}),
   keep_second(
-    and_then([wsl, string('return'), many1(whitespace)]),
-    keep_first(expression, sem))));
+    and_then(string('return'), spaces),
+    keep_first(expression, sem)))));
 
 ////////// Blocks
 // now we have enough to describe a function block
@@ -377,36 +671,38 @@ let return_stm = label('return', map_parser(
 // a pure block has zero or more lets and then a return
 // ordering is enforced
 // if you have a return, you may not have any bare expressions
+let block_end = map_parser(end_marker, keep_first(trivia, parse_char('}')));
+
 let pure_block = label('pure block',
-  between(
-    and_then(parse_char('{'), wsl),
-    and_then(wsl, parse_char('}')),
+  and_then([
+    parse_char('{'),
     and_then(
       many(let_stm),
-      return_stm)));
+      return_stm),
+    block_end]));
 
 // an effect block has side effects, presumably made in expression statements
 // it may not have a return statement
-let effect_block = label('effect block', 
-  between(
-    and_then(parse_char('{'), wsl),
-    and_then(wsl, parse_char('}')),
-    many(or_else(expr_stm, let_stm))));
+let effect_block = label('effect block',
+  and_then([
+    parse_char('{'),
+    many(or_else(expr_stm, let_stm)),
+    block_end]));
 
 // zero or more let or expression statements,
 // followed by a single return statement
-set_block(label('function block', map_parser(
-  (value) => ({type: 'block', value: [...flatten(value)]}),
+set_block(label('function block', node(
+  ends_with_comments('block'),
   label('block', or_else(pure_block, effect_block)))));
 
 ////////// Imports and exports
-let bare_import = label('bare import', map_parser(
+let bare_import = label('bare import', with_trivia(node(
   (imported) => ({type: 'bare_import', value: {imported}}),
   keep_second(
-    and_then([wsl, string('import'), many1(whitespace)]),
-    keep_first(str_p, sem))));
+    and_then(string('import'), spaces),
+    keep_first(str_p, sem)))));
 
-let ns_import = label('ns import', map_parser(
+let ns_import = label('ns import', with_trivia(node(
   ([ns_name, imported]) => 
     ({type: 'ns_import', 
       value: {
@@ -414,70 +710,86 @@ let ns_import = label('ns import', map_parser(
         ns_name: thread(ns_name, flatten, Str.from)}}),
   and_then(
     keep_second(
-      and_then([wsl, string('import'), many1(whitespace)]),
+      and_then(string('import'), spaces),
       ns_name),
     keep_second(
-      and_then([many1(whitespace), string('from'), many1(whitespace)]),
-      keep_first(str_p, sem)))));
+      and_then([spaces, string('from'), spaces]),
+      keep_first(str_p, sem))))));
 
-let imports = label('imports', map_parser(
+// names may be aliased in imports and exports: `foo as bar`
+let aliased = label('alias', node(
+  ([name, alias]) => ({type: 'alias', value: {name, alias}}),
+  and_then(
+    identifier,
+    keep_second(
+      and_then([spaces, string('as'), spaces]),
+      identifier))));
+
+let alias_list = sep_by1(comma_separator, or_else(aliased, identifier));
+
+let imports = label('imports', with_trivia(node(
   ([imports, imported]) => 
     ({type: 'imports', value: {imports, imported}}),
   and_then(
     keep_second(
-      and_then([wsl, string('import'), many1(whitespace)]),
+      and_then(string('import'), spaces),
       between(
         and_then(parse_char('{'), wsl),
         and_then(wsl, parse_char('}')),
-        sep_by1(comma_separator, identifier)
+        alias_list
       )),
     keep_second(
-      and_then([many1(whitespace), string('from'), many1(whitespace)]),
-      keep_first(str_p, sem)))));
+      and_then([spaces, string('from'), spaces]),
+      keep_first(str_p, sem))))));
 
 let import_stm = or_else([
   imports, bare_import, ns_import]);
 
-let ns_export = label('ns_export', map_parser(
-  (_) => ({type: 'ns_export'}),
-  and_then([
-    wsl, string('export'),
-    many1(whitespace),
-    string('default'),
-    many1(whitespace),
-    string('ns'),
-    many(whitespace),
-    between(
-      and_then(parse_char('('), wsl),
-      and_then(wsl, parse_char(')')),
-      sep_by1(comma_separator, expression)),
-    sem])));
+let ns_export = label('ns_export', with_trivia(node(
+  (args) => ({type: 'ns_export', value: {args}}),
+  keep_second(
+    and_then([
+      string('export'),
+      spaces,
+      string('default'),
+      spaces,
+      string('ns'),
+      ws]),
+    keep_first(
+      between(
+        and_then(parse_char('('), wsl),
+        and_then(wsl, parse_char(')')),
+        sep_by1(comma_separator, expression)),
+      sem)))));
 
-let exports = label('named exports', map_parser(
+let exports = label('named exports', with_trivia(node(
   (result) => ({type: 'exports', value: {exported: result}}),
   keep_second(
-    and_then([wsl, string('export'), many1(whitespace)]),
+    and_then(string('export'), spaces),
     label('export list', keep_first(
       label('id list', between(
         label('{', and_then(parse_char('{'), wsl)),
         label('}', and_then(wsl, parse_char('}'))),
-        label('id list', sep_by1(comma_separator, identifier)))),
-      sem)))));
+        label('id list', alias_list))),
+      sem))))));
 
 let export_stm = label('export statement', or_else(ns_export, exports));
 
-let file_end = label('eof', and_then(wsl, eof));
+let file_end = label('end of file', map_parser(end_marker, keep_first(trivia, eof)));
 
-let ludus_file = label('ludus file', map_parser(
-  (result) => ({type: 'ludus file', value: [...flatten(result)]}),
+// whitespace results are not nodes, so we drop them
+// NB: the file is named, not labelled, so errors report what was expected
+// at the start of a file: imports and statements, rather than a file
+let ludus_file = Fn.rename('ludus file', node(
+  ends_with_comments('ludus file'),
   or_else(
     file_end,
     and_then([
-      label('import statements', many(import_stm)),
-      label('statements', many1(or_else(expr_stm, let_stm))),
+      label('import', many(import_stm)),
+      label('statement', many1(or_else(expr_stm, let_stm))),
       or_else(
         file_end,
-        label('exports', keep_first(export_stm, file_end)))])
+        label('exports', and_then(export_stm, file_end)))])
   )));
 
 let repl_line = or_else([
@@ -485,9 +797,134 @@ let repl_line = or_else([
   let_stm,
   expr_stm]);
 
+////////// Error recovery
+// Instead of failing at the first syntax error, a file may be parsed in
+// recovery mode: a top-level statement that does not parse becomes an
+// `error` node, and parsing carries on at the next statement.
+// A broken statement is skipped through the semicolon that ends it, so
+// that it makes one error. Strings and bracketed groups are skipped
+// whole, so a function body's semicolons do not end the statement it is
+// in; a closing bracket that has no opening bracket in the statement is
+// skipped along with the rest of it. But a line that starts with `let`,
+// `import` or `export` starts the next statement, so a skip stops at the
+// line break before it, even inside a bracket that is never closed.
+let [junk, set_junk] = forward('junk');
+
+let is_one_of = (chars) => (char) => is_some(Arr.index_of(chars, char));
+
+let brackets = ['(', ')', '[', ']', '{', '}'];
+let quotes = ['"', '\'', '`'];
+
+let junk_char = satisfy('any', (char) => and(
+  is_some(char),
+  not(is_one_of([';', '\n', '\r', ...brackets, ...quotes])(char))));
+
+let statement_start = and_then(
+  or_else([string('let'), string('import'), string('export')]),
+  spaces);
+
+let junk_break = not_followed_by(line_break, statement_start);
+
+// unbalanced brackets and unterminated strings are junk, too
+let stray_char = satisfy('stray', is_one_of(['(', '[', '{', ...quotes]));
+
+let stray_closer = satisfy('stray', is_one_of([')', ']', '}']));
+
+let junk_group = (open, close) => between(
+  parse_char(open),
+  parse_char(close),
+  many(or_else(junk, parse_char(';'))));
+
+set_junk(or_else([
+  str_p,
+  junk_group('(', ')'),
+  junk_group('[', ']'),
+  junk_group('{', '}'),
+  junk_char,
+  junk_break,
+  stray_char]));
+
+let skip_statement = or_else(
+  and_then(many1(or_else(junk, stray_closer)), opt(parse_char(';'))),
+  parse_char(';'));
+
+let top_level_stm = or_else([
+  import_stm, let_stm, expr_stm, export_stm]);
+
+let error_stm = with_trivia(node(
+  (failure) => ({type: 'error', value: {message: format_failure(failure)}}),
+  recover(top_level_stm, skip_statement)));
+
+// statements are parsed in any order, and their order checked after
+let recovering_file = Fn.rename('recovering ludus file', node(
+  ends_with_comments('ludus file'),
+  and_then(
+    many(or_else(top_level_stm, error_stm)),
+    file_end)));
+
+///// Statement order
+// imports come first, then other statements, then exports
+let sections = {
+  'imports': 0, 'ns_import': 0, 'bare_import': 0,
+  'exports': 2, 'ns_export': 2
+};
+
+let misplacements = [
+  'imports must come before all other statements.',
+  'exports must come after all other statements.'
+];
+
+let section_of = (node, current) => when(eq('error', get('type', node)))
+  ? current
+  : get(get('type', node), sections, 1);
+
+let misplaced = (lines, node, section) => ({
+  type: 'error',
+  value: {message: format_error(
+    get(section, misplacements),
+    {...get_in(node, ['span', 'start']), lines})},
+  span: get('span', node)
+});
+
+let place_node = (lines) => ({section, nodes}, node) => {
+  let node_section = section_of(node, section);
+  return when(lt(node_section, section))
+    ? {section, nodes: [...nodes, misplaced(lines, node, node_section)]}
+    : {section: node_section, nodes: [...nodes, node]};
+};
+
+let place_nodes = (lines, nodes) =>
+  get('nodes', reduce(place_node(lines), {section: 0, nodes: []}, nodes));
+
+let is_error = (node) => eq('error', get('type', node));
+
+let parse_all = fn({
+  name: 'parse_all',
+  doc: 'Parses a string of Ludus source as a Ludus file, reporting every syntax error rather than only the first. Each top-level statement that does not parse, or that is out of order, becomes an `error` node in the AST, and parsing carries on with the next statement. Returns an object with the AST, at `ast`, and the messages of all syntax errors, in order, at `errors`.',
+  pre: args([is_str]),
+  body: (source) => {
+    let parsed = get('result', run(recovering_file, source));
+    let ast = assoc(parsed, 'value', place_nodes(split('\n', source), get('value', parsed)));
+    let errors = into([], comp(filter(is_error), map((node) => get_in(node, ['value', 'message']))), get('value', ast));
+    return {ast, errors};
+  }
+});
+
+let parse = fn({
+  name: 'parse',
+  doc: 'Parses a string of Ludus source as a Ludus file, returning its AST. Raises a `SyntaxError` if the source does not parse.',
+  pre: args([is_str]),
+  body: (source) => {
+    let result = run(ludus_file, source);
+    return when(get('ok', result))
+      ? get('result', result)
+      : raise(SyntaxError, format_failure(result));
+  }
+});
+
 export default ns({
   name: 'Ludus_Parser',
   members: {
-    ludus_file, repl_line
+    ludus_file, recovering_file, repl_line, parse, parse_all
   }
 });//?
\ No newline at end of file
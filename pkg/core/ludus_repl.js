@@ -0,0 +1,296 @@
+//////////////////// A Ludus REPL
+// A Node-native REPL (but not a Node REPL): each line is parsed with
+// `Ludus_Parser.repl_line`, and evaluated by `Ludus_Interpreter`.
+// - `let` bindings persist from line to line. Each line gets its own
+//   scope, a child of the last line's, so names may be rebound.
+// - the value of every expression and `let` is printed using `show`
+// - input runs across lines until its brackets are balanced, and the
+//   final semicolon is optional
+// - `:doc name` shows the documentation for whatever `name` is bound to
+// Start it with `node ludus_repl.js`; quit with ctrl-D.
+// Start a dev REPL on a file with `node ludus_repl.js path/to/file.ld`.
+
+// TODOs:
+// [ ] history that persists across sessions
+// [ ] tab completion of bound names
+// [ ] a `:load` command, to open a file in the dev REPL
+// [ ] reload a file when the `.ld` files it imports change
+// [ ] carry refs nested in top-level objects and arrays across reloads
+
+import '../prelude/prelude.js';
+import {createInterface} from 'readline';
+import {watchFile, unwatchFile} from 'fs';
+import {fileURLToPath} from 'url';
+import {doc} from '../prelude/ludus/doc.js';
+import Parse from './parse.js';
+import Ludus_Parser from './ludus_parser.js';
+import Ludus_Interpreter from './ludus_interpreter.js';
+
+let {run, keep_first, and_then, many, or_else, whitespace, line_break, eof, format_failure} = Parse;
+let {repl_line} = Ludus_Parser;
+let {env, global_env, lookup, define, evaluate, eval_file, load_modules, run_file} = Ludus_Interpreter;
+
+let prompt = 'ludus> ';
+let continuation = '  ...> ';
+
+////////// Reading
+// a line of input must be exactly one import, `let`, or expression
+let repl_input = keep_first(
+  repl_line,
+  and_then(many(or_else(whitespace, line_break)), eof));
+
+let parse_line = (input) => {
+  let result = run(repl_input, input);
+  return when(get('ok', result))
+    ? get('result', result)
+    : raise(SyntaxError, format_failure(result));
+};
+
+// the final semicolon goes before a trailing line comment, which is
+// dropped, since there is nothing in it to evaluate
+let with_semicolon = (input) => {
+  let line = trim(input);
+  let code = trim(Str.slice(line, 0, comment_start(line)));
+  return when(Str.ends_with(';', code)) ? code : str(code, ';');
+};
+
+///// Multi-line input
+// we track how deeply nested we are in brackets, ignoring brackets in strings
+let openers = ['(', '[', '{'];
+let closers = [')', ']', '}'];
+let quotes = ['"', '\'', '`'];
+
+let is_one_of = (chars) => (char) => is_some(Arr.index_of(chars, char));
+
+let scan_char = ({depth, quote, escaped}, char) => cond(char,
+  [() => escaped, () => ({depth, quote, escaped: false})],
+  [() => is_some(quote), (char) => ({
+    depth,
+    quote: when(eq(quote, char)) ? undefined : quote,
+    escaped: eq('\\', char)})],
+  [is_one_of(quotes), (char) => ({depth, quote: char, escaped: false})],
+  [is_one_of(openers), () => ({depth: inc(depth), quote, escaped: false})],
+  [is_one_of(closers), () => ({depth: dec(depth), quote, escaped: false})],
+  [is_any, () => ({depth, quote, escaped: false})]
+);
+
+let unscanned = {depth: 0, quote: undefined, escaped: false};
+
+let is_balanced = (input) => lte(
+  get('depth', reduce(scan_char, unscanned, split('', input))),
+  0);
+
+///// Trailing comments
+// a trailing line comment starts at the first `//` outside a string on
+// the last line; we track where that is, and whether the last character
+// was a slash outside a string
+let scan_comment = ({scanned, index, slash, start}, char) => ({
+  scanned: when(is_some(start)) ? scanned : scan_char(scanned, char),
+  index: inc(index),
+  slash: and(is_undef(get('quote', scanned)), eq('/', char)),
+  start: cond(char,
+    [(char) => eq('\n', char), () => undefined],
+    [(char) => and(is_undef(start), slash, eq('/', char)), () => dec(index)],
+    [is_any, () => start])
+});
+
+let comment_start = (input) => get('start',
+  reduce(scan_comment, {scanned: unscanned, index: 0, slash: false, start: undefined}, split('', input)),
+  count(input));
+
+////////// Evaluating
+// a line is evaluated as though it were a whole file
+let file_of = (node) => ({type: 'ludus file', value: [node]});
+
+// a `let` shows the value it binds; a destructuring `let` shows each
+// name it binds, which are the only names bound in the line's scope
+let bound_values = (line_env) => into({},
+  map(([name, {value}]) => [name, value]),
+  entries(get('bindings', line_env)));
+
+let line_evaluators = {
+  'let': (node, line_env) => {
+    evaluate(node, line_env);
+    let pattern = get_in(node, ['value', 'pattern']);
+    return when(eq('identifier', get('type', pattern)))
+      ? get('value', lookup(get('value', pattern), line_env))
+      : bound_values(line_env);
+  },
+  'statement': (node, line_env) => evaluate(node, line_env)
+};
+
+// imports have nothing to show, so they print nothing
+let eval_node = (node, line_env, modules) => {
+  let evaluator = get(get('type', node), line_evaluators);
+  return when(evaluator)
+    ? print(show(evaluator(node, line_env)))
+    : eval_file(file_of(node), modules, line_env);
+};
+
+let eval_line = async (state, input) => {
+  let {env: last_env, modules} = state;
+  let node = parse_line(with_semicolon(input));
+  let loaded = merge(modules, await load_modules(file_of(node), process.cwd()));
+  let line_env = env(last_env);
+  eval_node(node, line_env, loaded);
+  return merge(state, {env: line_env, modules: loaded, buffer: ''});
+};
+
+////////// Commands
+let show_doc = (state, name) => {
+  print(doc(evaluate(parse_line(with_semicolon(name)), get('env', state))));
+  return state;
+};
+
+let commands = {
+  'doc': show_doc
+};
+
+let is_command = Str.starts_with(':');
+
+let run_command = (state, input) => {
+  let [command, ...command_args] = split(' ', Str.slice(trim(input), 1));
+  let handler = get(command, commands);
+  return when(handler)
+    ? handler(state, trim(Str.from(command_args, ' ')))
+    : raise(`Unknown REPL command: :${command}. Try \`:doc name\`.`);
+};
+
+////////// The loop
+// errors are reported, and discard any pending input
+// an error prints only its own message: with typechecking on, each
+// function it was raised through has already reported on it
+let report_error = (state) => (err) => {
+  print(get('message', err, err));
+  return assoc(state, 'buffer', '');
+};
+
+// Node promises, unlike Ludus functions, report errors by rejecting
+let handle_async = async (attempt, on_error) => attempt().catch(on_error);
+
+let step = (state, line) => {
+  let input = str(get('buffer', state), line, '\n');
+  return cond(input,
+    [pipe(trim, is_empty), () => assoc(state, 'buffer', '')],
+    [is_command, () => handle(() => run_command(state, input), report_error(state))],
+    [(input) => not(is_balanced(input)), () => assoc(state, 'buffer', input)],
+    [is_any, () => handle_async(() => eval_line(state, input), report_error(state))]
+  );
+};
+
+// the REPL's state lives in a ref, so that a file reload can change it
+let step_ref = async (state, line) => {
+  swap(state, await step(deref(state), line));
+  return state;
+};
+
+// Node's readline is object-oriented, so we speak its language
+let set_prompt = (rl, state) => {
+  rl.setPrompt(when(is_empty(get('buffer', deref(state)))) ? prompt : continuation);
+  rl.prompt();
+};
+
+let read_lines = async (rl, lines, state) => {
+  set_prompt(rl, state);
+  let {value: line, done} = await lines.next();
+  return when(done)
+    ? state
+    : read_lines(rl, lines, await step_ref(state, line));
+};
+
+////////// The dev REPL
+// The dev REPL opens a file, and has everything in that file loaded in
+// its context: its imports, its top-level `let`s, and its exports. When
+// the file changes, it reloads the context. Refs are live state, so
+// they survive reloads: a ref bound at the top level of the file takes
+// the value of the ref bound to the same name before the reload.
+
+// the Ref type isn't exported, but any ref will tell us its type
+let ref_type = type_of(ref({name: 'ref_type', value: undefined}));
+
+let is_ref = (x) => eq(ref_type, type_of(x));
+
+let top_level = (file, name) => get('value', lookup(name, get('env', file)));
+
+let carry_ref = (last, file) => (_, name) => {
+  let last_value = top_level(last, name);
+  let value = top_level(file, name);
+  return when(is_ref(last_value))
+    ? when(is_ref(value)) ? swap(value, deref(last_value)) : undefined
+    : undefined;
+};
+
+let carry_refs = (last, file) => reduce(
+  carry_ref(last, file),
+  undefined,
+  keys(get_in(file, ['env', 'bindings'])));
+
+// named exports are already top-level `let`s
+// a namespace exported by default is bound to its name
+let file_scope = ({env: file_env, exports}) => {
+  let scope = env(file_env);
+  let namespace = get('default', exports);
+  when(is_ns(namespace))
+    ? define(scope, get('name', meta(namespace)), namespace)
+    : undefined;
+  return scope;
+};
+
+let load_file = async (path, state) => {
+  let last = get('file', deref(state));
+  let file = await run_file(path);
+  when(last) ? carry_refs(last, file) : undefined;
+  swap(state, merge(deref(state), {env: file_scope(file), file, buffer: ''}));
+  print(`Loaded ${path}.`);
+  return state;
+};
+
+let reload_file = (rl, path, state) => async () => {
+  print('');
+  await handle_async(() => load_file(path, state), report_error(deref(state)));
+  set_prompt(rl, state);
+};
+
+// watchers fire on every change to the file's stats; we only care about
+// changes to its contents
+let on_change = (reload) => (current, previous) => when(eq(get('mtimeMs', current), get('mtimeMs', previous)))
+  ? undefined
+  : reload();
+
+let start = fn({
+  name: 'start',
+  doc: 'Starts a Ludus REPL, reading from stdin and printing to stdout. With a path to a Ludus file, starts a dev REPL: the file is loaded, its top-level bindings and exports are in scope, and it is reloaded whenever it changes. Refs bound at the top level of the file keep their values across reloads. Returns a promise that resolves once input ends.',
+  body: [
+    async () => {
+      let rl = createInterface({input: process.stdin, output: process.stdout});
+      let state = ref({name: 'repl', value: {env: env(global_env()), modules: {}, buffer: ''}});
+      await read_lines(rl, rl[Symbol.asyncIterator](), state);
+      print('');
+    },
+    async (path) => {
+      let rl = createInterface({input: process.stdin, output: process.stdout});
+      let state = ref({name: 'dev repl', value: {env: env(global_env()), modules: {}, buffer: ''}});
+      await handle_async(() => load_file(path, state), report_error(deref(state)));
+      watchFile(path, {interval: 250}, on_change(reload_file(rl, path, state)));
+      await read_lines(rl, rl[Symbol.asyncIterator](), state);
+      unwatchFile(path);
+      print('');
+    }
+  ]
+});
+
+// start the REPL when this file is run directly
+// `node ludus_repl.js` starts a plain REPL
+// `node ludus_repl.js path/to/file.ld` starts a dev REPL on that file
+let [_node, script, path] = process.argv;
+
+when(eq(fileURLToPath(import.meta.url), script))
+  ? when(path) ? start(path) : start()
+  : undefined;
+
+export default ns({
+  name: 'Ludus_REPL',
+  members: {
+    start
+  }
+});
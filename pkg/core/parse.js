@@ -52,18 +52,88 @@ let next_state = fn({
 
 let parser_input = at('input', parser_state);
 
+// positions are zero-indexed lines and columns
+// a span runs from the start position up to, but not including, the end
+let position = ({line, col}) => ({line, col});
+
+let span = fn({
+  name: 'span',
+  pre: args([parser_state, parser_state]),
+  body: (start, end) => ({start: position(start), end: position(end)})
+});
+
 let ok = fn({
   name: 'ok', 
   pre: args([is_any, parser_state]),
   body: (result, input) => ({ok: true, result, input})
 });
 
+// a failure's span runs from where the failing parser started to
+// where it failed; without a start, the failure is at a single point
 let fail = fn({
   name: 'fail',
-  pre: args([iter_of(or(iter_of(is_str), is_str)), parser_state, is_fn]),
-  body: (errors, input, from) => ({ok: false, errors, input, from})
+  pre: args(
+    [iter_of(or(iter_of(is_str), is_str)), parser_state, is_fn],
+    [iter_of(or(iter_of(is_str), is_str)), parser_state, is_fn, parser_state]),
+  body: [
+  (errors, input, from) => fail(errors, input, from, input),
+  (errors, input, from, start) => 
+    ({ok: false, errors, input, from, span: span(start, input)})
+  ]
 });
 
+////////// Furthest failures
+// A failure knows where it happened, at `input`, and what its parser
+// expected to find there, at `expected`. Parsing backtracks a lot, and
+// the failure a parse ends with is often not the helpful one. So every
+// result, success or failure, carries the furthest failure it has
+// backtracked over, at `furthest`. When a parse fails, the failure
+// furthest into the input is the one worth reporting.
+
+let is_same_place = (a, b) => and(
+  is_identical(get('line', a), get('line', b)),
+  is_identical(get('col', a), get('col', b)));
+
+let is_further = (a, b) => or(
+  gt(get('line', a), get('line', b)),
+  and(is_identical(get('line', a), get('line', b)), gt(get('col', a), get('col', b))));
+
+let merge_expected = (xs, ys) => into([...xs],
+  filter((y) => not(is_some(Arr.index_of(xs, y)))),
+  ys);
+
+// failures in the same place expected either thing
+let either = (f1, f2) => when(is_same_place(get('input', f1), get('input', f2)))
+  ? assoc(f2, 'expected', merge_expected(get('expected', f1, []), get('expected', f2, [])))
+  : f2;
+
+let furthest = (f1, f2) => when(is_undef(f1))
+  ? f2
+  : when(is_undef(f2))
+    ? f1
+    : when(is_further(get('input', f1), get('input', f2)))
+      ? f1
+      : when(is_further(get('input', f2), get('input', f1)))
+        ? f2
+        : either(f1, f2);
+
+// the furthest failure in a result, including the result itself
+let deepest = (result) => furthest(
+  when(get('ok', result)) ? undefined : result,
+  get('furthest', result));
+
+let with_furthest = (result, failure) => when(failure)
+  ? assoc(result, 'furthest', failure)
+  : result;
+
+let expecting = (expected, failure) => assoc(failure, 'expected', expected);
+
+// at a parser's start, what we expected is whatever the parser is called
+let expect_at = (start, expected, failure) => 
+  when(and(failure, is_same_place(start, get('input', failure))))
+    ? expecting(expected, failure)
+    : failure;
+
 let satisfy = fn({
   name: 'satisfy',
   pre: args([is_str, is_fn], [is_str, is_fn, parser_input]),
@@ -76,16 +146,18 @@ let satisfy = fn({
       : undefined;
     return when(success)
       ? success
-      : fail([`Error parsing ${name}`, `Unexpected ${or(next, 'eof')}`], xs, satisfy);
+      : expecting([name], fail([`Error parsing ${name}`, `Unexpected ${or(next, 'eof')}`], xs, satisfy));
   }
   ]
 });
 
-let label = fn({
-  name: 'label',
+// names a parser in its errors
+// the combinators use this to name the parsers they build
+let relabel = fn({
+  name: 'relabel',
   pre: args([is_str, is_fn], [is_str, is_fn, parser_input]),
   body: [
-  (name, parser) => Fn.rename(name, partial(label, name, parser)),
+  (name, parser) => Fn.rename(name, partial(relabel, name, parser)),
   (name, parser, input) => {
     let result = parser(input);
     return when(get('ok', result))
@@ -96,6 +168,65 @@ let label = fn({
   ]
 });
 
+// says what a parser expects, when it fails before consuming any input
+let expect = fn({
+  name: 'expect',
+  pre: args([is_str, is_fn], [is_str, is_fn, parser_input]),
+  body: [
+  (name, parser) => Fn.rename(get('name', parser), partial(expect, name, parser)),
+  (name, parser, input) => {
+    let start = get('input', input);
+    let result = parser(input);
+    let expected = expect_at(start, [name], when(get('ok', result)) ? undefined : result);
+    return with_furthest(
+      or(expected, result),
+      expect_at(start, [name], get('furthest', result)));
+  }
+  ]
+});
+
+// names a parser in its errors, and in reports of what was expected
+let label = fn({
+  name: 'label',
+  pre: args([is_str, is_fn], [is_str, is_fn, parser_input]),
+  body: [
+  (name, parser) => Fn.rename(name, partial(label, name, parser)),
+  (name, parser, input) => expect(name, relabel(name, parser), input)
+  ]
+});
+
+// hides a parser from reports of what was expected, e.g. whitespace,
+// which is nearly always allowed and so nearly never helpful to mention
+let hidden = fn({
+  name: 'hidden',
+  pre: args([is_fn], [is_fn, parser_input]),
+  body: [
+  (parser) => Fn.rename(get('name', parser), partial(hidden, parser)),
+  (parser, input) => {
+    let result = parser(input);
+    return when(get('ok', result))
+      ? assoc(result, 'furthest', undefined)
+      : assoc(expecting([], result), 'furthest', undefined);
+  }
+  ]
+});
+
+// reports a parser as one thing to expect, e.g. a number: wherever in
+// it a failure happens, it expected the token, and not one of its parts
+let token = fn({
+  name: 'token',
+  pre: args([is_str, is_fn], [is_str, is_fn, parser_input]),
+  body: [
+  (name, parser) => Fn.rename(name, partial(token, name, parser)),
+  (name, parser, input) => {
+    let result = relabel(name, parser)(input);
+    return when(get('ok', result))
+      ? assoc(result, 'furthest', undefined)
+      : assoc(expecting([name], result), 'furthest', expecting([name], deepest(result)));
+  }
+  ]
+});
+
 
 
 let run = fn({
@@ -104,10 +235,13 @@ let run = fn({
   body: (parser, input) => parser({input: str_to_state(input)})
 });
 
+// how to name a char or string that a parser expects
+let quoted = (s) => when(eq('\n', s)) ? 'line break' : `\`${s}\``;
+
 let parse_char = fn({
   name: 'parse_char',
   pre: args([is_char]),
-  body: (char) => satisfy(char, eq(char))
+  body: (char) => expect(quoted(char), satisfy(char, eq(char)))
 });
 
 let eof = satisfy('end of file', is_undef);
@@ -143,9 +277,14 @@ let and_then = fn({
       `Expected ${error_name}`,
       ...rest(parser_errors)];
 
+    let failed = when(get('ok', result1)) ? result2 : result1;
+    let backtracked = furthest(get('furthest', result1), get('furthest', result2));
+
     return when(get('ok', result2))
-      ? ok(result_tuple, remaining_input)
-      : fail(errors, remaining_input, and_then);
+      ? with_furthest(ok(result_tuple, remaining_input), backtracked)
+      : with_furthest(
+        expecting(get('expected', failed, []), fail(errors, remaining_input, and_then, get('input', input))),
+        backtracked);
   }
   ]
 });
@@ -161,7 +300,13 @@ let or_else = fn({
     let result1 = parser1(input);
     return when(get('ok', result1))
       ? result1
-      : label(`${get('name', parser1)}|${get('name', parser2)}`, parser2)(input);
+      : call(() => {
+        let result2 = relabel(`${get('name', parser1)}|${get('name', parser2)}`, parser2)(input);
+        let backtracked = furthest(deepest(result1), get('furthest', result2));
+        return when(get('ok', result2))
+          ? with_furthest(result2, backtracked)
+          : with_furthest(either(result1, result2), backtracked);
+      });
   }
   ]
 });
@@ -194,6 +339,23 @@ let map_parser = fn({
   ]
 });
 
+// attaches the span of source a parser consumed to its result,
+// which must be an object (e.g. an AST node)
+let with_span = fn({
+  name: 'with_span',
+  pre: args([is_fn], [is_fn, parser_input]),
+  body: [
+  (parser) => Fn.rename(get('name', parser), partial(with_span, parser)),
+  (parser, input) => {
+    let result = parser(input);
+    return when(get('ok', result))
+      ? update(result, 'result', 
+        (node) => assoc(node, 'span', span(get('input', input), get('input', result))))
+      : result
+  }
+  ]
+});
+
 let many = fn({
   name: 'many',
   pre: args([is_fn], [is_fn, parser_input]),
@@ -204,11 +366,11 @@ let many = fn({
     return when(get('ok', result))
       ? call(() => {
         let next = many(parser, result);
-        return ok(
-          [get('result', result), get('result', next)], 
-          get('input', next));
+        return with_furthest(
+          ok([get('result', result), get('result', next)], get('input', next)),
+          furthest(get('furthest', result), get('furthest', next)));
       })
-      : ok([], get('input', input));
+      : with_furthest(ok([], get('input', input)), deepest(result));
   }
   ]
 });
@@ -220,7 +382,7 @@ let many1 = fn({
   (parser) => Fn.rename(
     `at least one ${get('name', parser)}`, 
     partial(many1, parser)),
-  (parser, input) => label(`at least one ${get('name', parser)}`, and_then(parser, many(parser)))(input)
+  (parser, input) => relabel(`at least one ${get('name', parser)}`, and_then(parser, many(parser)))(input)
   ]
 });
 
@@ -233,7 +395,47 @@ let opt = fn({
     let result = parser(input);
     return when(get('ok', result))
       ? result
-      : ok(undefined, get('input', result));
+      : with_furthest(ok(undefined, get('input', result)), deepest(result));
+  }
+  ]
+});
+
+// when a parser fails, `skip` runs from the same place, passing over the
+// input that could not be parsed; the result is then the furthest failure
+// instead of a parsed value, so parsing may carry on past the failure
+let recover = fn({
+  name: 'recover',
+  pre: args([is_fn, is_fn], [is_fn, is_fn, parser_input]),
+  body: [
+  (parser, skip) => Fn.rename(`recover<${get('name', parser)}>`, partial(recover, parser, skip)),
+  (parser, skip, input) => {
+    let result = parser(input);
+    let skipped = when(get('ok', result)) ? result : skip(input);
+    return cond(result,
+      [() => get('ok', result), id],
+      [() => get('ok', skipped), () => ok(deepest(result), get('input', skipped))],
+      [is_any, id]
+    );
+  }
+  ]
+});
+
+// succeeds as `parser` does, unless `next` would parse right after it
+let not_followed_by = fn({
+  name: 'not_followed_by',
+  pre: args([is_fn, is_fn], [is_fn, is_fn, parser_input]),
+  body: [
+  (parser, next) => Fn.rename(
+    `${get('name', parser)} not followed by ${get('name', next)}`,
+    partial(not_followed_by, parser, next)),
+  (parser, next, input) => {
+    let result = parser(input);
+    let after = when(get('ok', result)) ? next(result) : undefined;
+    return when(get('ok', after))
+      ? fail(
+        [`Error parsing ${get('name', parser)}`, `Unexpected ${get('name', next)}`],
+        get('input', result), not_followed_by, get('input', input))
+      : result;
   }
   ]
 });
@@ -241,7 +443,7 @@ let opt = fn({
 let keep_first = fn({
   name: 'keep_first',
   pre: args([is_fn, is_fn]),
-  body: (fst, snd) => label(
+  body: (fst, snd) => relabel(
     `${get('name', fst)} then ${get('name', snd)}`,
     map_parser(first, and_then(fst, snd)))
 });
@@ -249,7 +451,7 @@ let keep_first = fn({
 let keep_second = fn({
   name: 'keep_second',
   pre: args([is_fn, is_fn]),
-  body: (fst, snd) => label(
+  body: (fst, snd) => relabel(
     `${get('name', fst)} then ${get('name', snd)}`,
     map_parser(second, and_then(fst, snd)))
 });
@@ -259,7 +461,7 @@ let between = fn({
   pre: args([is_fn, is_fn], [is_fn, is_fn, is_fn]),
   body: [
   (open, close) => partial(between, open, close),
-  (open, close, body) => label(
+  (open, close, body) => relabel(
     `between<${get('name', open)}, ${get('name', close)}>`,
     keep_second(open, keep_first(body, close)))
   ]
@@ -270,7 +472,7 @@ let sep_by1 = fn({
   pre: args([is_fn, is_fn], [is_fn, is_fn, parser_input]),
   body: (separator, parser) => {
     let sep_then_p = keep_second(separator, parser);
-    return label(
+    return relabel(
       `sep_by<${get('name', separator)}, ${get('name', parser)}>`,
       map_parser(
         unpack_right,
@@ -288,7 +490,7 @@ let any_of = fn({
   name: 'any_of',
   pre: args([is_char]),
   body: [
-  (...cs) => label(
+  (...cs) => relabel(
     `any_of<${Str.from(map(get('name'), cs), ', ')}>`,
     or_else(map(parse_char, cs)))
   ]
@@ -298,7 +500,7 @@ let sep_by = fn({
   name: 'sep_by',
   pre: args([is_fn, is_fn]),
   body: (separator, parser) =>
-    label(
+    relabel(
       `sep_by<${get('name', separator)}, ${get('name', parser)}>`,
       or_else(sep_by1(separator, parser), no_op))
 });
@@ -306,7 +508,7 @@ let sep_by = fn({
 let string = fn({
   name: 'string',
   pre: args([is_str]),
-  body: (s) => label(s,
+  body: (s) => relabel(s,
     map_parser(
       pipe(unpack_left, Str.from), 
       and_then(map(parse_char, [...s]))))
@@ -323,7 +525,7 @@ let string_ = fn({
       let result = parser(input);
       return when(get('ok', result))
         ? result
-        : fail([`Error parsing '${s}'`, `Expected '${s}'`, Arr.last(get('errors', result))], get('input', input), string_)
+        : expecting([quoted(s)], fail([`Error parsing '${s}'`, `Expected '${s}'`, Arr.last(get('errors', result))], get('input', input), string_))
     })
   }
 });
@@ -356,6 +558,84 @@ let whitespace = label('whitespace', any_of('\t', ' '));
 
 let line_break = label('line_break', any_of('\n', '\r'));
 
+////////// Reporting failures
+// A failed parse is reported at its furthest failure, with what was
+// expected there, what was found instead, and a code frame: the lines
+// around the failure, with a caret under where it happened.
+
+let describe_found = ({line, col, lines}) => {
+  let char = current_char({line, col, lines});
+  return cond(char,
+    [is_undef, just('end of file')],
+    [eq('\n'), just('a line break')],
+    [is_any, quoted]
+  );
+};
+
+let describe_expected = (expected) => cond(count(expected),
+  [eq(0), just('something else')],
+  [eq(1), () => first(expected)],
+  [is_any, () => `one of: ${Str.from(expected, ', ')}`]
+);
+
+// failures at the end of input may be one past the last line
+let clamp_position = ({line, col, lines}) => when(lt(line, count(lines)))
+  ? {line, col, lines}
+  : {line: dec(count(lines)), col: count(Arr.last(lines)), lines};
+
+let frame_line = (lines, width, marked) => (line) =>
+  `${when(is_identical(line, marked)) ? '>' : ' '} ${Str.pad_left(width, str(inc(line)))} | ${get(line, lines)}`;
+
+// tabs stay tabs, so the caret lines up however tabs are displayed
+let caret_line = (source_line, col, width) => str(
+  `  ${Str.repeat(width, ' ')} | `,
+  Str.from(map((char) => when(eq('\t', char)) ? '\t' : ' ', split('', Str.slice(source_line, 0, col)))),
+  '^');
+
+let code_frame = fn({
+  name: 'code_frame',
+  pre: args([parser_state]),
+  body: (state) => {
+    let {line, col, lines} = clamp_position(state);
+    let from = max(0, dec(line));
+    let to = min(count(lines), inc(inc(line)));
+    let width = count(str(to));
+    let before = into([], map(frame_line(lines, width, line)), range(from, inc(line)));
+    let after = into([], map(frame_line(lines, width, line)), range(inc(line), to));
+    return Str.from([...before, caret_line(get(line, lines), col, width), ...after], '\n');
+  }
+});
+
+let furthest_failure = fn({
+  name: 'furthest_failure',
+  pre: args([at('ok', is_bool)]),
+  body: deepest
+});
+
+let format_error = fn({
+  name: 'format_error',
+  pre: args([is_str, parser_state]),
+  body: (message, position) => {
+    let state = clamp_position(position);
+    return Str.from([
+      `Syntax error on line ${inc(get('line', state))}, column ${inc(get('col', state))}: ${message}`,
+      '',
+      code_frame(state)
+    ], '\n');
+  }
+});
+
+let format_failure = fn({
+  name: 'format_failure',
+  pre: args([at('ok', eq(false))]),
+  body: (result) => {
+    let failure = furthest_failure(result);
+    let state = clamp_position(get('input', failure));
+    let expected = describe_expected(get('expected', failure, []));
+    return format_error(`expected ${expected}; found ${describe_found(state)}.`, state);
+  }
+});
+
 let print_result = fn({
   name: 'print_result',
   pre: args([is_fn, is_str]),
@@ -363,19 +643,21 @@ let print_result = fn({
     let result = run(parser, input);
     return when(get('ok', result))
       ? Str.from(get('result', result))
-      : get('err', result);
+      : format_failure(result);
   }
 });
 
 export default ns({
   name: 'Parse',
   members: {
-    ok, fail, current_char, next_state,
-    satisfy, label, run, parse_char, and_then,
-    or_else, map_parser, many, many1, opt, keep_first,
+    ok, fail, span, current_char, next_state,
+    satisfy, label, hidden, token, run, parse_char, and_then,
+    or_else, map_parser, with_span, many, many1, opt, recover,
+    not_followed_by, keep_first,
     keep_second, between, sep_by1, no_op, any_of,
     sep_by, string: string_, char_in_range, uppercase, lowercase,
-    digit, whitespace, line_break, print_result, eof
+    digit, whitespace, line_break, print_result, eof,
+    furthest_failure, code_frame, format_error, format_failure
   }
 });
 
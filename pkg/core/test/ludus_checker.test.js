@@ -0,0 +1,37 @@
+// Runs with Ludus typechecking on, its default: prelude functions only
+// know their clauses, and so their arities, when they are checked.
+import assert from 'assert';
+import Ludus_Checker from '../ludus_checker.js';
+
+let {check_source} = Ludus_Checker;
+
+let reports = (source) => [...check_source(source)];
+
+let first_lines = (source) => reports(source).map((report) => report.split('\n')[0]);
+
+assert.deepStrictEqual(reports('let x = inc(1);\nlet f = () => g();\nlet g = () => x;\nexport {f};'), []);
+
+assert.deepStrictEqual(reports('let x = y;'),
+  ['Problem on line 1, column 9: `y` is not bound.\n\n> 1 | let x = y;\n    |         ^']);
+
+assert.deepStrictEqual(first_lines('let x = 1;\nlet x = 2;'),
+  ['Problem on line 2, column 5: `x` has already been bound. Names may only be bound once in a scope.']);
+
+assert.deepStrictEqual(first_lines('let x = Str.nope;'),
+  ['Problem on line 1, column 9: `Str.nope` is not defined in the prelude.']);
+
+assert.deepStrictEqual(first_lines('let x = js`1`;'),
+  ['Problem on line 1, column 9: `js` forms are not checked, and are not allowed unless the checker is called with `{allow_js: true}`.']);
+assert.deepStrictEqual(check_source('let x = js`1`;', {allow_js: true}), []);
+
+// arities: a function takes as many arguments as one of its clauses, or
+// more than all of them; a function without clauses takes any number
+assert.deepStrictEqual(first_lines('let x = Str.from();'),
+  ['Problem on line 1, column 9: Wrong number of arguments to Str.from. It takes 1 or 2 argument(s), but is called with 0.']);
+assert.deepStrictEqual(reports('let x = add(1, 2, 3);\nlet f = () => raise("no");'), []);
+
+// syntax errors come first, and do not stop the checker
+assert.deepStrictEqual(first_lines('let x = y;\nlet z = ;'), [
+  'Syntax error on line 2, column 9: expected expression; found `;`.',
+  'Problem on line 1, column 9: `y` is not bound.'
+]);
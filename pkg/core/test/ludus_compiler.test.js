@@ -0,0 +1,70 @@
+// Compiles each form of Ludus, runs the compiled module, and checks its
+// exports against what the interpreter makes of the same source.
+// Runs with Ludus typechecking on, its default.
+import assert from 'assert';
+import {writeFile, mkdtemp, rm} from 'fs/promises';
+import {tmpdir} from 'os';
+import {join} from 'path';
+import {fileURLToPath, pathToFileURL} from 'url';
+import Ludus_Compiler from '../ludus_compiler.js';
+import Ludus_Interpreter from '../ludus_interpreter.js';
+
+let {compile_source} = Ludus_Compiler;
+let {run} = Ludus_Interpreter;
+
+let prelude = fileURLToPath(new URL('../../prelude/main.js', import.meta.url));
+
+let sources = {
+  atoms: 'let r = [1, -2.5, "a", true, false, undefined];\nexport {r};',
+  template: 'let x = 2;\nlet r = `x is ${x}, and ${inc(x)} after`;\nexport {r};',
+  collections: 'let xs = [1, 2];\nlet o = {a: 1};\nlet r = [xs, {...o, "b c": xs}, [[]]];\nexport {r};',
+  calls: 'let r = [add(1, 2), thread(3, inc, inc), Str.from(["a", "b"], "-")];\nexport {r};',
+  when: 'let r = [when(eq(1, 1)) ? "y" : "n", when(false) ? "y" : "n"];\nexport {r};',
+  functions: 'let f = (x, y = 2) => add(x, y);\nlet g = (...xs) => count(xs);\nlet r = [f(1), f(1, 3), g(), g(1, 2, 3)];\nexport {r};',
+  blocks: 'let f = (x) => { let y = inc(x); return mult(y, 2); };\nlet g = (x) => { f(x); };\nlet r = [f(1), g(1)];\nexport {r};',
+  array_destructuring: 'let [a, [b], ...cs] = [1, [2], 3, 4];\nlet r = [a, b, cs];\nexport {r};',
+  object_destructuring: 'let {d, e: [f], g = 7, ...more} = {d: 5, e: [6], h: 8};\nlet r = [d, f, g, more];\nexport {r};',
+  param_destructuring: 'let p = ([x, y], {z}) => [x, y, z];\nlet r = p([1, 2], {z: 3});\nexport {r};',
+  js: 'let r = js`[1, 2].map((x) => x * 2)`;\nexport {r};',
+  match: `let m = (x) => match (x) {
+  [] => "empty",
+  [a] => a,
+  [a, _, ...more] => more,
+  {kind: "point", x: px} => px,
+  {a, ...more} => more,
+  "hi" => "greeting",
+  true => "yes",
+  _ => "other"
+};
+let r = [m([]), m([1]), m([1, 2, 3, 4]), m({kind: "point", x: 9}), m({a: 1, b: 2}), m("hi"), m(true), m(5)];
+export {r};`,
+  variants: `let shape = Enum.enumeration({name: "Shape", circle: (r) => r, square: (s) => s});
+let {circle, square} = shape;
+let area = (s) => match (s) {
+  shape.Circle(r) => mult(r, r, 3),
+  shape.Square(x) => mult(x, x)
+};
+let some = (o) => match (o) {
+  Enum.Option.Some(x) => x,
+  Enum.Option.None => "nothing"
+};
+let r = [area(circle(1)), area(square(2)), some(Enum.Option.some(4)), some(Enum.Option.none())];
+export {r};`
+};
+
+let dir = await mkdtemp(join(tmpdir(), 'ludus-compiler-'));
+
+try {
+  for (let [name, source] of Object.entries(sources)) {
+    let path = join(dir, `${name}.js`);
+    await writeFile(path, compile_source(source, prelude));
+    let compiled = await import(pathToFileURL(path));
+    let interpreted = run(source).exports;
+    assert.ok(eq(compiled.r, interpreted.r), `${name}: compiled ${show(compiled.r)}, interpreted ${show(interpreted.r)}`);
+  }
+  // a regression: the rest of an object pattern in a `match` arm
+  let rest = await import(pathToFileURL(join(dir, 'match.js')));
+  assert.ok(eq(rest.r[4], {b: 2}));
+} finally {
+  await rm(dir, {recursive: true});
+}
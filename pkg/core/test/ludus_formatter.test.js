@@ -0,0 +1,17 @@
+// Runs with Ludus typechecking on, its default, so that the formatter's
+// functions are called through their specs.
+import assert from 'assert';
+import Ludus_Formatter from '../ludus_formatter.js';
+
+let {format_source} = Ludus_Formatter;
+
+assert.strictEqual(format_source('let x = 1;'), 'let x = 1;\n');
+assert.strictEqual(format_source('let f = (x) => x;\n\n\nf(1); // call it\n'),
+  'let f = (x) => x;\n\nf(1); // call it\n');
+assert.strictEqual(format_source(format_source('let y = "a";')), format_source('let y = "a";'));
+
+// files of nothing but comments, and files ending in an inline comment
+// with no line break after it
+assert.strictEqual(format_source('// only a comment\n'), '// only a comment\n');
+assert.strictEqual(format_source('/* a */\n// b'), '/* a */\n// b\n');
+assert.strictEqual(format_source('let x = 1; // one'), 'let x = 1; // one\n');
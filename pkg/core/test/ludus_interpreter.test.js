@@ -0,0 +1,41 @@
+// Runs with Ludus typechecking on, its default.
+import assert from 'assert';
+import Ludus_Interpreter from '../ludus_interpreter.js';
+
+let {run} = Ludus_Interpreter;
+
+let result = (source) => get('r', get('exports', run(`${source}\nexport {r};`)));
+
+let assert_eq = (actual, expected) =>
+  assert.ok(eq(actual, expected), `expected ${show(expected)}, got ${show(actual)}`);
+
+assert_eq(result('let x = 2;\nlet r = [1, -2.5, "a", `x is ${x}`, undefined];'),
+  [1, -2.5, 'a', 'x is 2', undefined]);
+
+assert_eq(result('let o = {a: 1};\nlet r = {...o, "b c": [true], d: add(1, 2)};'),
+  {a: 1, 'b c': [true], d: 3});
+
+assert_eq(result('let f = (x, y = 2) => add(x, y);\nlet g = (...xs) => count(xs);\nlet r = [f(1), f(1, 3), g(), g(1, 2, 3)];'),
+  [3, 4, 0, 3]);
+
+assert_eq(result('let f = (x) => { let y = inc(x); return when(eq(y, 2)) ? "two" : y; };\nlet r = [f(1), f(2)];'),
+  ['two', 3]);
+
+assert_eq(result('let [a, ...bs] = [1, 2, 3];\nlet {c, d: [e], f = 6, ...more} = {c: 4, d: [5], g: 7};\nlet r = [a, bs, c, e, f, more];'),
+  [1, [2, 3], 4, 5, 6, {g: 7}]);
+
+assert_eq(result(`let m = (x) => match (x) {
+  [] => "empty",
+  [a, _, ...more] => more,
+  {kind: "point", x: px} => px,
+  {a, ...more} => more,
+  "hi" => "greeting",
+  _ => "other"
+};
+let r = [m([]), m([1, 2, 3]), m({kind: "point", x: 9}), m({a: 1, b: 2}), m("hi"), m(5)];`),
+  ['empty', [3], 9, {b: 2}, 'greeting', 'other']);
+
+assert_eq(result('let r = js`[1, 2].map((x) => x * 2)`;'), [2, 4]);
+
+// names are lexically scoped
+assert_eq(result('let x = 1;\nlet f = () => x;\nlet g = (x) => f();\nlet r = g(2);'), 1);
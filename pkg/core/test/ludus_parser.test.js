@@ -0,0 +1,67 @@
+// Runs with Ludus typechecking on, its default.
+import assert from 'assert';
+import Ludus_Parser from '../ludus_parser.js';
+
+let {parse, parse_all} = Ludus_Parser;
+
+let message = (source) => {
+  try {
+    parse(source);
+  } catch (err) {
+    return err.message;
+  }
+  assert.fail(`${source} parsed, but should not have`);
+};
+
+////////// Syntax errors
+// each is reported at its furthest failure, with what was expected, what
+// was found, and a code frame
+assert.strictEqual(message('let x = ;'),
+  'Syntax error on line 1, column 9: expected expression; found `;`.\n\n> 1 | let x = ;\n    |         ^');
+assert.strictEqual(message('let x = 1;\nlet y = [1, 2;\nlet z = 3;'),
+  'Syntax error on line 2, column 14: expected one of: `]`, `,`; found `;`.\n\n  1 | let x = 1;\n> 2 | let y = [1, 2;\n    |              ^\n  3 | let z = 3;');
+
+// whitespace is not expected, and a number is one thing
+assert.strictEqual(message('let x = 1 2;').split('\n')[0],
+  'Syntax error on line 1, column 11: expected `;`; found `2`.');
+assert.strictEqual(message('let x = -').split('\n')[0],
+  'Syntax error on line 1, column 10: expected number; found end of file.');
+
+// strings that do not end before the file does
+assert.strictEqual(message('let x = "a').split('\n')[0],
+  'Syntax error on line 1, column 11: expected one of: `"`, string character; found end of file.');
+
+////////// Recovery
+// `parse_all` reports each broken statement once, where it broke, and
+// carries on with the next
+let where = (error) => first(split(':', error));
+
+let assert_recovers = (source, types, errors) => {
+  let {ast, errors: reported} = parse_all(source);
+  assert.deepStrictEqual([...map((node) => get('type', node), get('value', ast))], types);
+  assert.deepStrictEqual([...map(where, reported)], errors);
+};
+
+assert_recovers('let x = 1 2;\nlet y = 2;',
+  ['error', 'let'],
+  ['Syntax error on line 1, column 11']);
+
+// brackets are skipped whole, semicolons and all
+assert_recovers('let f = () => { a b; };\nlet y = 2;',
+  ['error', 'let'],
+  ['Syntax error on line 1, column 19']);
+
+// stray closing brackets are skipped with the rest of their statement
+assert_recovers('let x = 1;\n}}]);\nlet y = 2;',
+  ['let', 'error', 'let'],
+  ['Syntax error on line 2, column 1']);
+
+// a bracket that is never closed does not swallow the statements after it
+assert_recovers('let a = (;\nlet b = 2;\nlet c = [1, );\nlet d = 4;',
+  ['error', 'let', 'error', 'let'],
+  ['Syntax error on line 1, column 10', 'Syntax error on line 3, column 13']);
+
+// nor does a missing semicolon
+assert_recovers('let x = 1 2\nlet y = 2;',
+  ['error', 'let'],
+  ['Syntax error on line 1, column 11']);
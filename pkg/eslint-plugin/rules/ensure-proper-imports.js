@@ -1,9 +1,19 @@
 const is_capitalized = require('./is_capitalized');
 
 const create = (ctx) => ({
-  "ImportSpecifier Identifier" (node) {
-    if (is_capitalized(node.name)) {
-      ctx.report({node, message: `Bad name \`${node.name}\. Only names of namespaces may be capitalized.`});
+  ImportSpecifier ({imported, local}) {
+    // `default as Foo` imports a namespace, so its alias must be capitalized
+    if (imported.name === 'default') {
+      if (!is_capitalized(local.name)) {
+        ctx.report({node: local, message: `Bad alias \`${local.name}\`. Names of namespaces must be capitalized.`});
+      }
+      return;
+    }
+    if (is_capitalized(imported.name)) {
+      ctx.report({node: imported, message: `Bad name \`${imported.name}\. Only names of namespaces may be capitalized.`});
+    }
+    if (local.name !== imported.name && is_capitalized(local.name)) {
+      ctx.report({node: local, message: `Bad alias \`${local.name}\`. Only names of namespaces may be capitalized.`});
     }
   },
   "ImportDefaultSpecifier Identifier" (node) {
@@ -0,0 +1,25 @@
+const imports = require('../rules/ensure-proper-imports.js');
+const {RuleTester} = require('eslint');
+
+const tester = new RuleTester({parserOptions: {ecmaVersion: 2021, sourceType: 'module'}});
+
+tester.run(
+  'ensure-proper-imports',
+  imports,
+  {
+    valid: [
+      {code: `import {foo} from 'foo';`},
+      {code: `import {foo as bar} from 'foo';`},
+      {code: `import {default as Foo} from 'foo';`},
+      {code: `import Foo from 'foo';`}
+    ],
+    invalid: [
+      {code: `import {Foo} from 'foo';`, errors: [{message: /Bad name/i}]},
+      {code: `import {foo as Bar} from 'foo';`, errors: [{message: 'Bad alias `Bar`. Only names of namespaces may be capitalized.'}]},
+      {code: `import {Foo as bar} from 'foo';`, errors: [{message: /Bad name/i}]},
+      {code: `import {default as foo} from 'foo';`, errors: [{message: /must be capitalized/i}]},
+      {code: `import foo from 'foo';`, errors: [{message: /must be capitalized/i}]},
+      {code: `import * as Foo from 'foo';`, errors: [{message: /Unexpected \*/i}]}
+    ]
+  }
+);
@@ -18,7 +18,11 @@ let doc_ludus_fn = (fn) => {
   let params = into({}, map(
     (f) => [get('length', f), thread(f, str, split('=>'), first, trim, (ps) => when(eq(get('length', f), 1)) ? parenthesize_single_param(ps) : ps)],
     get('clauses', fn)));
-  let spec_raw = map(
+  // a sequence spec specs all the arities at once
+  let sequence_spec = when(Spec.is_sequence_spec(get('pre', fn)))
+    ? get_in(fn, ['pre', 'name'])
+    : undefined;
+  let spec_raw = when(sequence_spec) ? [] : map(
     get('members'),
     get_in(fn, ['pre', 'members'], []));
   let render_spec = pipe(
@@ -30,7 +34,9 @@ let doc_ludus_fn = (fn) => {
   let arities_and_specs = Str.from(map((arity) => {
     let param_str = get(arity, params);
     let spec_str = get(arity, pretty_specs);
-    return when(spec_str) ? str(param_str, '::', spec_str) : param_str;
+    return when(spec_str) ? str(param_str, '::', spec_str)
+      : when(sequence_spec) ? str(param_str, '::', sequence_spec)
+      : param_str;
   }, arities), '\n');
   let ns = get('in_ns', fn);
   let ns_name = when(ns)
@@ -71,6 +71,21 @@ let concat = fn({
   }
 });
 
+let flat_map = fn({
+  name: 'flat_map',
+  doc: 'Takes a function and an iterable, and returns an array of the elements of the iterables that the function returns for each element, in order. E.g., `flat_map((x) => [x, x], [1, 2]); //=> [1, 1, 2, 2]`.',
+  pre: args([is_fn, is_iter]),
+  body: (f, xs) => {
+    let out = [];
+    for (let x of xs) {
+      for (let y of f(x)) {
+        out.push(y);
+      }
+    }
+    return from(out);
+  }
+});
+
 let conj = fn({
   name: 'conj',
   doc: 'Takes an array and a list of elements and adds those elements to the array.',
@@ -208,7 +223,7 @@ let is_immutable = fn({
 });
 
 export default ns(L.Arr, {
-  arr: _arr, assoc, concat, conj, conj_, empty, empty_, from,
+  arr: _arr, assoc, concat, conj, conj_, empty, empty_, flat_map, from,
   index, index_of, is_index, last_index_of, reverse, reduce_right,
   slice, sort, unconj, show, last, is_immutable
 });
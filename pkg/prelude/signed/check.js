@@ -0,0 +1,514 @@
+//////////////////// Generative testing
+// Generates values from specs, and uses them to test functions. `check`
+// calls a function many times, with arguments generated from its `pre`
+// spec, and tells whether each call returned a value that passes its
+// `post` spec (and did not raise an error). When a call fails, `check`
+// shrinks its arguments to the smallest ones it can find that still
+// fail, which are usually much easier to read.
+// A generator is a function `(rand, size) => value`: `rand` returns a
+// random number in [0, 1), and `size` bounds how big the value may be.
+// `check` starts small and grows `size` as it goes. Spec combinators
+// (`tup`, `iter_of`, `record`, `or`, `args`, etc.) generate from their
+// members, and the common predicates have generators. Any spec or
+// predicate may be given its own generator with `defgen`. Specs that
+// cannot otherwise be generated (e.g. `is(some_type)`) need one, as do
+// specs that pass more than they ought to (e.g. `fn_body`: not every
+// list of functions that passes it has clauses `fn` can tell apart).
+// Shrinking works on values, not on generators: a number shrinks
+// towards 0, and a string, array, or object by dropping and shrinking
+// its elements. Only smaller values that still pass the spec are tried.
+
+// TODOs:
+// [ ] generators for types, e.g. `is(List.t)` (and enumerations)
+// [ ] shrink Vecs, HashMaps, and HashSets
+// [ ] properties other than `pre`/`post`: `check` over a spec and a fn
+
+import L from './deps.js';
+import NS from './ns.js';
+import Fn from './fns.js';
+import S from './spec.js';
+import P from './preds.js';
+import Arr from './arr.js';
+import Str from './strings.js';
+import Vec from './vec.js';
+import HashMap from './hash_map.js';
+import HashSet from './hash_set.js';
+import Seq from './seqs.js';
+
+let {fn} = Fn;
+let {ns} = NS;
+let {args, record, maybe} = S;
+let {is_fn, is_int} = P;
+let {raise} = L.Err;
+let Spec = L.Spec;
+
+let spec_s = Spec.or(L.Pred.is(Spec.t), is_fn);
+
+///// Randomness
+// a small seeded random number generator (mulberry32), so that any
+// `check` may be repeated exactly by passing it the same `seed`
+let random = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+let new_seed = () => Math.floor(Math.random() * 4294967296);
+
+let int_between = (rand, min, max) =>
+  min + Math.floor(rand() * (max - min + 1));
+
+let pick = (rand, xs) => xs[int_between(rand, 0, xs.length - 1)];
+
+///// Generators for predicates
+let gen_undef = () => undefined;
+
+let gen_bool = (rand) => rand() < 0.5;
+
+let gen_int = (rand, size) => int_between(rand, -size, size);
+
+let gen_nat = (rand, size) => int_between(rand, 0, size);
+
+let gen_num = (rand, size) => rand() < 0.5
+  ? gen_int(rand, size)
+  : (rand() * 2 - 1) * size;
+
+// printable ASCII
+let gen_char = (rand) => String.fromCharCode(int_between(rand, 32, 126));
+
+let gen_str = (rand, size) =>
+  Array.from({length: gen_nat(rand, size)}, () => gen_char(rand)).join('');
+
+let gen_key = (rand, size) => rand() < 0.5
+  ? gen_nat(rand, size)
+  : gen_char(rand) + gen_str(rand, size);
+
+// elements of collections are generated at half the size, so that
+// nested collections stay small
+let gen_arr_of = (gen) => (rand, size) => Array.from(
+  {length: gen_nat(rand, size)},
+  () => gen(rand, Math.floor(size / 2)));
+
+let gen_dict_of = (gen) => (rand, size) => Object.fromEntries(
+  gen_arr_of((rand, size) => [gen_str(rand, size), gen(rand, size)])(rand, size));
+
+let gen_atom = (rand, size) =>
+  pick(rand, [gen_undef, gen_bool, gen_int, gen_num, gen_str])(rand, size);
+
+let gen_any = (rand, size) => size > 0 && rand() < 0.25
+  ? pick(rand, [gen_arr, gen_obj])(rand, size)
+  : gen_atom(rand, size);
+
+let gen_some = (rand, size) => {
+  let x = gen_any(rand, size);
+  return x === undefined ? gen_int(rand, size) : x;
+};
+
+let gen_arr = gen_arr_of(gen_any);
+
+let gen_obj = gen_dict_of(gen_any);
+
+// generated functions are pure: each returns one of a few values,
+// chosen by the hash of its arguments
+let gen_fn = (rand, size) => {
+  let returns = Array.from({length: 1 + gen_nat(rand, 3)},
+    () => gen_any(rand, size));
+  return L.Fn.rename('generated',
+    (...args) => returns[Math.abs(L.hash(args) % returns.length)]);
+};
+
+let gen_vec = (rand, size) => Vec.from(gen_arr(rand, size));
+
+let gen_hash_map = (rand, size) => HashMap.from(
+  gen_arr_of((rand, size) => [gen_any(rand, size), gen_any(rand, size)])(rand, size));
+
+let gen_hash_set = (rand, size) => HashSet.from(gen_arr(rand, size));
+
+let gen_sequence = (rand, size) => pick(rand, [gen_arr, gen_vec])(rand, size);
+
+let gen_iter = (rand, size) =>
+  pick(rand, [gen_str, gen_arr, gen_vec])(rand, size);
+
+let gen_coll = (rand, size) =>
+  pick(rand, [gen_arr, gen_obj, gen_vec])(rand, size);
+
+let gen_js_obj = (rand, size) => pick(rand, [gen_arr, gen_obj])(rand, size);
+
+let gen_seq = (rand, size) => Seq.seq(gen_sequence(rand, size));
+
+let gen_seqable = (rand, size) =>
+  pick(rand, [gen_coll, gen_str, gen_seq, gen_undef])(rand, size);
+
+///// Finding generators
+// generators given to specs and predicates, by `defgen` and below
+let generators = new Map();
+
+// predicates have both signed and unsigned versions
+let pred_gens = {
+  is_any: gen_any, is_undef: gen_undef, is_some: gen_some,
+  is_str: gen_str, is_num: gen_num, is_int: gen_int, is_bool: gen_bool,
+  is_fn: gen_fn, is_js_obj: gen_js_obj, is_obj: gen_obj, is_iter: gen_iter,
+  is_sequence: gen_sequence, is_coll: gen_coll, is_arr: gen_arr,
+  is_key: gen_key
+};
+
+for (let [name, gen] of Object.entries(pred_gens)) {
+  generators.set(L.Pred[name], gen);
+  generators.set(P[name], gen);
+}
+
+generators.set(Arr.is_index, gen_nat);
+generators.set(Str.is_char, gen_char);
+generators.set(Vec.is_vec, gen_vec);
+generators.set(HashMap.is_hash_map, gen_hash_map);
+generators.set(HashSet.is_hash_set, gen_hash_set);
+generators.set(Seq.is_seq, gen_seq);
+generators.set(Seq.is_seqable, gen_seqable);
+
+// a function body passes `fn_body` with clauses of the same arity, and
+// a function descriptor passes `fn_descriptor` with any functions at all
+// as its `pre` and `post`: `fn` can use neither
+let gen_clauses = (rand, size) => Array.from({length: 1 + gen_nat(rand, 2)},
+  (_, arity) => Object.defineProperty(gen_fn(rand, size), 'length', {value: arity}));
+
+let gen_fn_body = (rand, size) => rand() < 0.5
+  ? gen_fn(rand, size)
+  : gen_clauses(rand, size);
+
+generators.set(Fn.fn_body, gen_fn_body);
+
+generators.set(Fn.fn_descriptor, (rand, size) => ({
+  name: gen_char(rand) + gen_str(rand, size),
+  doc: gen_str(rand, size),
+  body: gen_fn_body(rand, size)
+}));
+
+// `such_that` retries a generator until its value passes a spec;
+// like QuickCheck's, it tries bigger sizes as it goes
+let max_tries = 100;
+
+let such_that = (spec, gen) => (rand, size) => {
+  for (let tries = 0; tries < max_tries; tries++) {
+    let value = gen(rand, size + tries);
+    if (Spec.is_valid(spec, value)) return value;
+  }
+  raise(Error, `Could not generate a value that passes ${spec.name} in ${max_tries} tries.`);
+};
+
+// `generator` finds or builds a generator for a spec, recursively.
+// It returns undefined if there is none, and adds the name of the spec
+// (or the spec within it) that has none to `missed`.
+let generator = (spec, missed) => {
+  if (generators.has(spec)) return generators.get(spec);
+  let miss = () => {
+    missed.push(spec.name || 'anon.');
+    return undefined;
+  };
+  if (!Spec.is_spec(spec)) return miss();
+  let members = (specs) => specs.map((s) => generator(s, missed));
+  switch (spec.spec) {
+    case Spec.spec: {
+      return generator(spec.pred, missed);
+    }
+    case Spec.record: {
+      let gens = members(spec.members.map((at) => at.members.spec));
+      if (gens.includes(undefined)) return undefined;
+      let keys = spec.members.map((at) => at.members.key);
+      return (rand, size) => {
+        let obj = {};
+        keys.forEach((key, i) => {
+          let value = gens[i](rand, size);
+          if (value !== undefined) obj[key] = value;
+        });
+        return obj;
+      };
+    }
+    case Spec.and: {
+      let gen = members(spec.members).find((g) => g !== undefined);
+      return gen === undefined ? undefined : such_that(spec, gen);
+    }
+    case Spec.or:
+    case Spec.maybe: {
+      let gens = members(spec.members).filter((g) => g !== undefined);
+      if (gens.length === 0) return undefined;
+      return (rand, size) => pick(rand, gens)(rand, size);
+    }
+    case Spec.tup: {
+      let gens = members(spec.members);
+      if (gens.includes(undefined)) return undefined;
+      return (rand, size) => gens.map((gen) => gen(rand, size));
+    }
+    case Spec.iter_of: {
+      let gen = generator(spec.members, missed);
+      return gen === undefined ? undefined : gen_arr_of(gen);
+    }
+    case Spec.at: {
+      let {key} = spec.members;
+      let gen = generator(spec.members.spec, missed);
+      return gen === undefined ? undefined : (rand, size) => ({[key]: gen(rand, size)});
+    }
+    case Spec.dict: {
+      let gen = generator(spec.members, missed);
+      return gen === undefined ? undefined : gen_dict_of(gen);
+    }
+    // the longest tuple of arguments may be followed by any number more
+    // arguments that pass its last spec
+    case Spec.args: {
+      let tuples = spec.members;
+      let gens = members(tuples);
+      let longest = tuples.reduce((a, b) => b.members.length > a.members.length ? b : a);
+      let rest = generator(longest.members[longest.members.length - 1], missed);
+      let arities = gens.flatMap((gen, i) => gen === undefined ? [] : [[gen, tuples[i] === longest]]);
+      if (arities.length === 0) return undefined;
+      return (rand, size) => {
+        let [gen, is_longest] = pick(rand, arities);
+        let explicit = gen(rand, size);
+        return is_longest && rest !== undefined && rand() < 0.25
+          ? [...explicit, ...gen_arr_of(rest)(rand, size)]
+          : explicit;
+      };
+    }
+    case Spec.cat:
+    case Spec.alt:
+    case Spec.star:
+    case Spec.plus:
+    case Spec.opt:
+      return parts(spec, missed);
+    default: return miss();
+  }
+};
+
+// `parts` builds a generator for a sequence spec, which generates an
+// array of the elements it matches, into which those of the sequence
+// specs within it are spliced. Any other spec generates one element.
+let parts = (spec, missed) => {
+  if (!Spec.is_sequence_spec(spec)) {
+    let gen = generator(spec, missed);
+    return gen === undefined ? undefined : (rand, size) => [gen(rand, size)];
+  }
+  let {members} = spec;
+  switch (spec.spec) {
+    case Spec.cat: {
+      let gens = members.map((s) => parts(s, missed));
+      if (gens.includes(undefined)) return undefined;
+      return (rand, size) => gens.flatMap((gen) => gen(rand, size));
+    }
+    case Spec.alt: {
+      let gens = members.map((s) => parts(s, missed))
+        .filter((g) => g !== undefined);
+      if (gens.length === 0) return undefined;
+      return (rand, size) => pick(rand, gens)(rand, size);
+    }
+    default: {
+      let gen = parts(members, missed);
+      if (gen === undefined) return undefined;
+      let times = (rand, size) => spec.spec === Spec.opt
+        ? gen_nat(rand, 1)
+        : (spec.spec === Spec.plus ? 1 : 0) + gen_nat(rand, size);
+      return (rand, size) => Array.from({length: times(rand, size)},
+        () => gen(rand, Math.floor(size / 2))).flat();
+    }
+  }
+};
+
+// gen_for :: (spec) => generator
+// Like `generator`, but raises if there is none
+let gen_for = (spec) => {
+  let missed = [];
+  let gen = generator(spec, missed);
+  if (gen === undefined) raise(Error, `There is no generator for ${spec.name || 'anon.'}: cannot generate ${missed.join(', ')}. Use \`defgen\` to give a generator to a spec or predicate.`);
+  return gen;
+};
+
+///// Shrinking
+// each of these yields smaller versions of a value, the most promising
+// (i.e. the smallest) first
+let shrink_num = function* (x) {
+  if (x === 0) return;
+  yield 0;
+  if (!Number.isFinite(x)) return;
+  if (x < 0) yield -x;
+  if (!Number.isInteger(x)) yield Math.trunc(x);
+  for (let d = Math.trunc(x / 2); d !== 0; d = Math.trunc(d / 2)) {
+    yield x - d;
+  }
+};
+
+// dropping ever smaller runs of elements
+let drops = function* (xs) {
+  if (xs.length === 0) return;
+  yield [];
+  for (let n = Math.floor(xs.length / 2); n > 0; n = Math.floor(n / 2)) {
+    for (let i = 0; i + n <= xs.length; i += n) {
+      yield [...xs.slice(0, i), ...xs.slice(i + n)];
+    }
+  }
+};
+
+let shrink_arr = function* (xs) {
+  yield* drops(xs);
+  for (let i = 0; i < xs.length; i++) {
+    for (let x of shrinks(xs[i])) {
+      yield [...xs.slice(0, i), x, ...xs.slice(i + 1)];
+    }
+  }
+};
+
+let shrink_str = function* (str) {
+  for (let chars of drops([...str])) {
+    yield chars.join('');
+  }
+};
+
+let shrink_obj = function* (obj) {
+  let entries = Object.entries(obj);
+  for (let dropped of drops(entries)) {
+    yield Object.fromEntries(dropped);
+  }
+  for (let [key, value] of entries) {
+    for (let x of shrinks(value)) {
+      yield {...obj, [key]: x};
+    }
+  }
+};
+
+let shrinks = (x) => {
+  switch (typeof x) {
+    case 'number': return shrink_num(x);
+    case 'string': return shrink_str(x);
+    case 'boolean': return x ? [false] : [];
+  }
+  if (Array.isArray(x)) return shrink_arr(x);
+  if (L.Pred.is_obj(x)) return shrink_obj(x);
+  return [];
+};
+
+// `shrink_` takes the first smaller value that passes the spec and fails
+// the test, and shrinks that, until there is none smaller, or it has
+// tried enough. `test` returns a description of a failure, or undefined.
+let max_shrinks = 1000;
+
+let shrink_ = (spec, test, value, failure) => {
+  let tries = 0;
+  let shrinking = true;
+  while (shrinking && tries < max_shrinks) {
+    shrinking = false;
+    for (let x of shrinks(value)) {
+      tries += 1;
+      if (tries > max_shrinks) break;
+      if (!Spec.is_valid(spec, x)) continue;
+      let failed = test(x);
+      if (failed !== undefined) {
+        value = x;
+        failure = failed;
+        shrinking = true;
+        break;
+      }
+    }
+  }
+  return {value, failure};
+};
+
+///// Checking functions
+// a function's `pre` and `post` may be a spec, or a list of them
+let as_spec = (tests) => {
+  if (!Array.isArray(tests)) return tests;
+  if (tests.length === 0) return undefined;
+  return tests.length === 1 ? tests[0] : Spec.and(...tests);
+};
+
+// calls a function with arguments, and describes how the call failed:
+// it raised an error, or its return did not pass `post`
+let call_with = (f, post, args) => {
+  let returned;
+  try {
+    returned = f(...args);
+  } catch (e) {
+    return `\`${f.name}\` raised an error: ${e.message || e}`;
+  }
+  if (post !== undefined && !Spec.is_valid(post, returned)) {
+    return `Return from \`${f.name}\` did not conform to spec.\n${Spec.explain(post, returned)}`;
+  }
+  return undefined;
+};
+
+let gen = fn({
+  name: 'gen',
+  doc: 'Returns a generator for a spec: a function that takes `rand`, a function that returns a random number in [0, 1), and `size`, a number, and returns a random value that passes the spec, no bigger than about `size`. Raises an error if there is no generator for the spec, or for a spec within it.',
+  pre: args([spec_s]),
+  body: gen_for
+});
+
+let defgen = fn({
+  name: 'defgen',
+  doc: 'Gives a spec, or a predicate, a generator: a function that takes `rand`, a function that returns a random number in [0, 1), and `size`, a number, and returns a random value that passes the spec. A generator may use `gen` to get generators for other specs. Returns the spec. E.g., `defgen(is_even, (rand, size) => 2 * gen(is_int)(rand, size));`.',
+  pre: args([spec_s, is_fn]),
+  body: (spec, generator) => {
+    generators.set(spec, generator);
+    return spec;
+  }
+});
+
+let sample = fn({
+  name: 'sample',
+  doc: 'Generates values from a spec, to show what its generator does. Takes a spec, and optionally how many values to generate (10, by default). The values grow bigger as they go.',
+  pre: args([spec_s], [spec_s, is_int]),
+  body: [
+    (spec) => sample(spec, 10),
+    (spec, n) => {
+      let gen = gen_for(spec);
+      let rand = random(new_seed());
+      return Array.from({length: n}, (_, size) => gen(rand, size));
+    }
+  ]
+});
+
+let shrink = fn({
+  name: 'shrink',
+  doc: 'Takes a spec, a predicate, and a value that passes the spec but fails the predicate. Returns the smallest value it can find that still passes the spec and fails the predicate. Numbers shrink towards 0; strings, arrays, and objects shrink by dropping and shrinking their elements. E.g., `shrink(iter_of(is_int), (xs) => count(xs) < 3, [5, -8, 13, 21]); //=> [0, 0, 0]`.',
+  pre: args([spec_s, is_fn, L.Pred.is_any]),
+  body: (spec, pred, value) =>
+    shrink_(spec, (x) => L.Pred.bool(pred(x)) ? undefined : true, value).value
+});
+
+let check_options = record('check_options', {
+  runs: maybe(is_int),
+  size: maybe(is_int),
+  seed: maybe(is_int)
+});
+
+let check = fn({
+  name: 'check',
+  doc: 'Tests a function with generated arguments. Calls the function `runs` times (100, by default), with arguments generated from its `pre` spec, and checks that each call returns a value that passes its `post` spec, if it has one, and does not raise an error. Returns a report: an object with the function\'s `name`, whether it did `pass`, the number of `runs`, and the `seed` used to generate arguments (pass the same `seed` to repeat a `check`). If a call fails, the report also has its `args`, the smallest arguments it could shrink them to that also fail, as `shrunk`, and a `message` explaining that failure. Optionally takes an object with `runs`, `size` (the largest size of generated arguments, 30 by default), and `seed`.',
+  pre: args([is_fn], [is_fn, check_options]),
+  body: [
+    (f) => check(f, {}),
+    (f, {runs = 100, size = 30, seed = new_seed()}) => {
+      let pre = as_spec(f.pre);
+      if (pre === undefined) raise(Error, `\`check\` generates arguments from a function's \`pre\` spec, but \`${f.name}\` has none.`);
+      let post = as_spec(f.post);
+      let gen = gen_for(pre);
+      let rand = random(seed);
+      let test = (args) => call_with(f, post, args);
+      for (let run = 0; run < runs; run++) {
+        let args = gen(rand, Math.floor(size * run / runs));
+        if (!Spec.is_valid(pre, args)) raise(Error, `Generated arguments to \`${f.name}\` that do not pass its \`pre\` spec: is a generator given by \`defgen\` wrong?\n${Spec.explain(pre, args)}`);
+        let failure = test(args);
+        if (failure !== undefined) {
+          let shrunk = shrink_(pre, test, args, failure);
+          return {
+            name: f.name, pass: false, runs: run + 1, seed,
+            args, shrunk: shrunk.value, message: shrunk.failure
+          };
+        }
+      }
+      return {name: f.name, pass: true, runs, seed};
+    }
+  ]
+});
+
+export default ns({
+  name: 'Check',
+  members: {gen, defgen, sample, shrink, check}
+});
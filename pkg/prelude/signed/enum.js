@@ -0,0 +1,355 @@
+//////////////////// Enumerations
+// An enumeration is a type whose values are each exactly one of a fixed
+// set of variants. Each variant may carry a value: an `Option` is either
+// `Some` value or `None`; a `Result` is either `Ok` with a value or `Err`
+// with an error.
+// Enumeration values are boxed twice: the enumeration's type boxes the
+// variant's type, which boxes the variant's value. Thus,
+// `type_of(some(3))` is the `Option` type, `type_of(get('value', some(3)))`
+// is the `Some` type, and `get_in(some(3), ['value', 'value'])` is 3.
+// `enumeration` returns the namespace of the new type, which holds its
+// variant constructors, its variant types, and its `show`, `eq` and
+// `hash` methods. The namespace may be used wherever an enumeration is wanted,
+// including in `match` patterns: `match(x) { Enum.Option.Some(y) => y }`.
+
+// TODOs:
+// [ ] nullary variants that are values, not functions
+// [ ] `Option` and `Result` versions of collection functions (`get`, `first`)
+
+import L from './deps.js';
+import T from './type.js';
+import NS from './ns.js';
+import Fn from './fns.js';
+import Err from './errors.js';
+import S from './spec.js';
+import P from './preds.js';
+import Str from './strings.js';
+
+let {eq, show: show_} = L;
+let {fn, partial} = Fn;
+let {type, create, type_of, is, meta} = T;
+let {ns, is_ns} = NS;
+let {handle} = Err;
+let {args, spec, and, at, tup} = S;
+let {is_any, is_some, is_undef, is_str, is_fn, is_obj} = P;
+let {capitalize} = Str;
+
+////////// Enumerations
+let is_enum = fn({
+  name: 'is_enum',
+  doc: 'Tells if something is an enumeration type.',
+  body: (x) => is(T.t, x) && is_obj(x.variants)
+});
+
+let enum_type = fn({
+  name: 'enum_type',
+  doc: 'Gets the type of an enumeration, given either that type or its namespace. Returns undefined if given anything else.',
+  body: (x) => {
+    if (is_enum(x)) return x;
+    if (is_ns(x) && is_enum(meta(x).ns_type)) return meta(x).ns_type;
+    return undefined;
+  }
+});
+
+let is_enumeration = spec({
+  name: 'is_enumeration',
+  pred: (x) => is_some(enum_type(x))
+});
+
+let variants = fn({
+  name: 'variants',
+  doc: 'Returns an array of the names of the variants of an enumeration, given its type or its namespace. E.g., `variants(Enum.Option); //=> [\'Some\', \'None\']`.',
+  pre: args([is_enumeration]),
+  body: (x) => Object.values(enum_type(x).variants).map(({name}) => name)
+});
+
+// the variant type and the value boxed in an enumeration value
+let variant_type = (x) => type_of(x.value);
+let unbox = (x) => x.value.value;
+
+let is_variant_of = (t, x) => is(t, x) && is_some(x.value);
+
+let enum_value = spec({
+  name: 'enum_value',
+  pred: (x) => is_enum(type_of(x))
+});
+
+let variant = fn({
+  name: 'variant',
+  doc: 'Returns the name of the variant of an enumeration value. E.g., `variant(Enum.Option.some(3)); //=> \'Some\'`.',
+  pre: args([enum_value]),
+  body: (x) => variant_type(x).name
+});
+
+///// Methods
+// every enumeration shares these methods
+let show = fn({
+  name: 'show',
+  doc: 'Shows an enumeration value, in the same form as a `match` pattern for it: `Some(3)`, or `None`.',
+  body: (x) => is_undef(unbox(x))
+    ? variant_type(x).name
+    : `${variant_type(x).name}(${show_(unbox(x))})`
+});
+
+// values that are `eq` must have the same `hash`
+let enum_hash = fn({
+  name: 'hash',
+  doc: 'Hashes an enumeration value, by its variant and its value.',
+  body: (x) => L.hash([variant_type(x).name, unbox(x)])
+});
+
+let enum_eq = fn({
+  name: 'eq',
+  doc: 'Tells if enumeration values are the same: if they are values of the same variant of the same enumeration, and their values are `eq`.',
+  body: [
+    (x) => partial(enum_eq, x),
+    (x, y) => type_of(x) === type_of(y)
+      && variant_type(x) === variant_type(y)
+      && eq(unbox(x), unbox(y)),
+    (x, y, z, ...more) => [y, z, ...more].every((a) => enum_eq(x, a))
+  ]
+});
+
+///// Constructing enumerations
+let variant_fns = (descriptor) => Object.entries(descriptor)
+  .every(([key, value]) => key === 'name' || is_fn(value));
+
+let enum_descriptor = spec({
+  name: 'enum_descriptor',
+  pred: and(is_obj, at('name', is_str), variant_fns)
+});
+
+let typify = (name) => `${name}_t`;
+
+let enumeration = fn({
+  name: 'enumeration',
+  doc: 'Defines an enumeration. Takes an enumeration descriptor: a string `name`, and a function for each variant, keyed by the variant\'s name, which returns the value the variant carries. Returns the namespace of the new enumeration\'s type. The namespace has a constructor for each variant at its name, the type of each variant at its name with `_t` appended, and `show`, `eq` and `hash` methods. Variants\' types are named with their names capitalized. E.g., `let shape = enumeration({name: \'Shape\', circle: (r) => r, square: (s) => s}); let {circle} = shape; circle(3); //=> Circle(3)`.',
+  pre: args([enum_descriptor]),
+  body: ({name, ...descriptor}) => {
+    let variant_types = Object.fromEntries(Object.keys(descriptor)
+      .map((key) => [typify(key), type({name: capitalize(key)})]));
+    let enum_t = type({name, variants: variant_types});
+    let constructors = Object.fromEntries(Object.entries(descriptor)
+      .map(([key, body]) => [key, fn({
+        name: key,
+        doc: `Constructs the ${capitalize(key)} variant of ${name}.`,
+        body: (...args) => create(enum_t, {
+          value: create(variant_types[typify(key)], {value: body(...args)})
+        })
+      })]));
+    return ns({type: enum_t, members: {
+      ...constructors, ...variant_types, show, eq: enum_eq, hash: enum_hash
+    }});
+  }
+});
+
+////////// Matching
+// `match` and `fmatch` are the function versions of Ludus's `match`
+// expression: each clause is a tuple of a variant type and a function
+// that is called with the variant's value
+let clause = tup(is(T.t), is_fn);
+
+let clause_types = (clauses) => clauses.map(([t]) => t);
+
+let covers = (t, clauses) => {
+  let types = Object.values(t.variants);
+  let matched = clause_types(clauses);
+  return types.length === matched.length
+    && types.every((variant_t) => matched.includes(variant_t));
+};
+
+let assert_covers = (t, clauses) => covers(t, clauses)
+  || L.Err.raise(TypeError, `Clauses must include each variant of ${t.name} exactly once.`);
+
+let match_clauses = (clauses, x) => {
+  let [, body] = clauses.find(([t]) => t === variant_type(x));
+  return body(unbox(x));
+};
+
+let match = fn({
+  name: 'match',
+  doc: 'Matches an enumeration value against a set of clauses, one for each variant of its enumeration. Each clause is a tuple of a variant type and a function, which is called with the variant\'s value. Returns the result of that call. E.g., `match(x, [Option.some_t, inc], [Option.none_t, just(0)])`.',
+  pre: args([enum_value, clause]),
+  body: (x, ...clauses) => {
+    assert_covers(type_of(x), clauses);
+    return match_clauses(clauses, x);
+  }
+});
+
+let fmatch = fn({
+  name: 'fmatch',
+  doc: 'Takes an enumeration and a set of clauses, one for each of its variants, as in `match`. Returns a function that takes a value of the enumeration and matches it against the clauses.',
+  pre: args([is_enumeration, clause]),
+  body: (x, ...clauses) => {
+    let t = enum_type(x);
+    assert_covers(t, clauses);
+    return fn({
+      name: `fmatch<${t.name}>`,
+      pre: args([(value) => is_variant_of(t, value)]),
+      body: (value) => match_clauses(clauses, value)
+    });
+  }
+});
+
+////////// Option
+// An Option is a value that may be absent
+let Option = enumeration({
+  name: 'Option',
+  some: (x) => x,
+  none: () => undefined
+});
+
+let {some_t, none_t} = NS.members(Option);
+
+let is_option = (x) => is_variant_of(Option.t, x);
+
+let option_map = fn({
+  name: 'map',
+  doc: 'Applies a function to the value in an Option. Returns `Some` of the result, or `None` if given `None`.',
+  pre: args([is_fn], [is_fn, is_option]),
+  body: [
+    (f) => partial(option_map, f),
+    (f, opt) => is(some_t, opt.value) ? Option.some(f(unbox(opt))) : opt
+  ]
+});
+
+let option_flat_map = fn({
+  name: 'flat_map',
+  doc: 'Applies a function that returns an Option to the value in an Option. Returns the result, or `None` if given `None`.',
+  pre: args([is_fn], [is_fn, is_option]),
+  body: [
+    (f) => partial(option_flat_map, f),
+    (f, opt) => is(some_t, opt.value) ? f(unbox(opt)) : opt
+  ]
+});
+
+let option_unwrap_or = fn({
+  name: 'unwrap_or',
+  doc: 'Gets the value in an Option, or a default if it is `None`. E.g., `unwrap_or(0, Option.none()); //=> 0`.',
+  pre: args([is_any], [is_any, is_option]),
+  body: [
+    (fallback) => partial(option_unwrap_or, fallback),
+    (fallback, opt) => is(some_t, opt.value) ? unbox(opt) : fallback
+  ]
+});
+
+let option_from_nullable = fn({
+  name: 'from_nullable',
+  doc: 'Converts a value that may be `undefined` (or `null`) into an Option: `None` if it is, and `Some` of it if it is not.',
+  body: (x) => is_some(x) ? Option.some(x) : Option.none()
+});
+
+let is_some_ = fn({
+  name: 'is_some',
+  doc: 'Tells if an Option is `Some`.',
+  pre: args([is_option]),
+  body: (opt) => is(some_t, opt.value)
+});
+
+let is_none = fn({
+  name: 'is_none',
+  doc: 'Tells if an Option is `None`.',
+  pre: args([is_option]),
+  body: (opt) => is(none_t, opt.value)
+});
+
+NS.defmembers(Option, {
+  is_option, is_some: is_some_, is_none,
+  map: option_map, flat_map: option_flat_map,
+  unwrap_or: option_unwrap_or, from_nullable: option_from_nullable
+});
+
+////////// Result
+// A Result is the value of a computation that may fail
+let Result = enumeration({
+  name: 'Result',
+  ok: (x) => x,
+  err: (e) => e
+});
+
+let {ok_t, err_t} = NS.members(Result);
+
+let is_result = (x) => is_variant_of(Result.t, x);
+
+let result_map = fn({
+  name: 'map',
+  doc: 'Applies a function to the value in an `Ok` Result. Returns `Ok` of the result, or the Result unchanged if it is an `Err`.',
+  pre: args([is_fn], [is_fn, is_result]),
+  body: [
+    (f) => partial(result_map, f),
+    (f, result) => is(ok_t, result.value) ? Result.ok(f(unbox(result))) : result
+  ]
+});
+
+let result_map_err = fn({
+  name: 'map_err',
+  doc: 'Applies a function to the error in an `Err` Result. Returns `Err` of the result, or the Result unchanged if it is `Ok`.',
+  pre: args([is_fn], [is_fn, is_result]),
+  body: [
+    (f) => partial(result_map_err, f),
+    (f, result) => is(err_t, result.value) ? Result.err(f(unbox(result))) : result
+  ]
+});
+
+let result_flat_map = fn({
+  name: 'flat_map',
+  doc: 'Applies a function that returns a Result to the value in an `Ok` Result. Returns the result, or the Result unchanged if it is an `Err`.',
+  pre: args([is_fn], [is_fn, is_result]),
+  body: [
+    (f) => partial(result_flat_map, f),
+    (f, result) => is(ok_t, result.value) ? f(unbox(result)) : result
+  ]
+});
+
+let result_unwrap_or = fn({
+  name: 'unwrap_or',
+  doc: 'Gets the value in an `Ok` Result, or a default if it is an `Err`.',
+  pre: args([is_any], [is_any, is_result]),
+  body: [
+    (fallback) => partial(result_unwrap_or, fallback),
+    (fallback, result) => is(ok_t, result.value) ? unbox(result) : fallback
+  ]
+});
+
+let result_from_nullable = fn({
+  name: 'from_nullable',
+  doc: 'Converts a value that may be `undefined` (or `null`) into a Result: an `Err` with the given error if it is, and `Ok` of it if it is not.',
+  pre: args([is_any, is_any]),
+  body: (error, x) => is_some(x) ? Result.ok(x) : Result.err(error)
+});
+
+let result_try = fn({
+  name: 'try',
+  doc: 'Converts a computation that may raise an error into one that returns a Result. Takes a nullary function, and calls it using `handle`: returns `Ok` of its return value, or `Err` of any error it raises.',
+  pre: args([is_fn]),
+  body: (attempt) => handle(() => Result.ok(attempt()), Result.err)
+});
+
+let is_ok = fn({
+  name: 'is_ok',
+  doc: 'Tells if a Result is `Ok`.',
+  pre: args([is_result]),
+  body: (result) => is(ok_t, result.value)
+});
+
+let is_err = fn({
+  name: 'is_err',
+  doc: 'Tells if a Result is an `Err`.',
+  pre: args([is_result]),
+  body: (result) => is(err_t, result.value)
+});
+
+NS.defmembers(Result, {
+  is_result, is_ok, is_err,
+  map: result_map, map_err: result_map_err, flat_map: result_flat_map,
+  unwrap_or: result_unwrap_or, from_nullable: result_from_nullable,
+  try: result_try
+});
+
+export default ns({
+  name: 'Enum',
+  members: {
+    enumeration, match, fmatch, is_enum, enum_type, variants, variant,
+    Option, Result
+  }
+});
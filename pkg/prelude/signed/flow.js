@@ -11,7 +11,7 @@ import Fn from './fns.js';
 
 let {defn} = Fn;
 let {bool, is_fn, is_any, is_int} = P;
-let {rename, tup, args} = S;
+let {rename, tup, args, cat, plus} = S;
 let {ns} = NS;
 
 let when = defn({
@@ -25,7 +25,7 @@ let clause = rename('clause', tup(is_fn, is_fn));
 let cond = defn({
   name: 'cond',
   doc: '`cond` takes value and a series of clauses (at least one). Each clause is an array of two items, a predicate function and an executive function. If the predicate returns a truthy value when passed to the predicate, the executive function is called with the predicate. Note that both predicate and executive functions must be unary. E.g. `cond(1, [eq(0), inc(1)], [eq(1), inc(2)]); //=> 3`.',
-  pre: args([is_any, clause]), 
+  pre: cat(is_any, plus(clause)),
   body: (value, ...clauses) => {
     for (let [pred, exec] of clauses) {
       if (bool(pred(value))) return exec(value);
@@ -37,7 +37,7 @@ let cond = defn({
 let fcond = defn({
   name: 'fcond',
   doc: '`fcond` takes a series of clauses, and returns a unary function that passes its value to the clauses, as `cond`.',
-  pre: args([clause]),
+  pre: plus(clause),
   body: (...clauses) => Fn.fn('fcond<...>', (x) => cond(x, ...clauses))
 });
 
@@ -11,28 +11,32 @@ let {report} = Ludus;
 let {ns} = NS;
 
 let {record, maybe, or, and, args, iter_of} = Spec;
-let {is_str, is_any, is_some, is, is_not_empty, is_fn, is_sequence} = Ludus.Pred;
+let {is_str, is_any, is_some, is, is_not_empty, is_fn, is_sequence, is_bool} = Ludus.Pred;
 
 let {fn: fn_, defn: defn_} = Fn;
 
 let test = or(is_fn, is(Spec.t)); // specs valid tests: a function or a spec
 let pre_post = maybe(or(test, iter_of(test))); // pre or post tests are optional, and either tests or sequences of tests
 
+// a function body is a function, or a sequence of clauses
+let fn_body = Spec.rename('fn_body', or(is_fn, and(is_not_empty, iter_of(is_fn))));
+
 // spec a function descriptor
 let fn_descriptor = record('fn_descriptor', {
   name: is_str,
   doc: maybe(is_str),
   pre: pre_post,
   post: pre_post,
-  body: or(is_fn, and(is_not_empty, iter_of(is_fn))) 
+  body: fn_body,
+  accumulate: maybe(is_bool)
 });
 
 // finally, a signed (and therefore safe-ish) `defn`
 // TODO: improve this documentation
 let fn = Fn.defn({
   name: 'fn',
-  doc: 'Describes a Ludus function, which is an instrumented bare function. It dispatches on arity; has better and more informative error handling; does tail-call elimination; allows for `pre` and `post` testing of arguments and returns; etc. With one argument, it takes a function descriptor object with, minmally, `name` and `body` fields. `name` must be a string; body must be a function or a sequence of functions describing clauses of various arities. With two arguments, takes a string `name` and a function `body`.',
-  pre: args([fn_descriptor], [is_str, or(is_fn, iter_of(is_fn))]),
+  doc: 'Describes a Ludus function, which is an instrumented bare function. It dispatches on arity; has better and more informative error handling; does tail-call elimination; allows for `pre` and `post` testing of arguments and returns; etc. With one argument, it takes a function descriptor object with, minmally, `name` and `body` fields. `name` must be a string; body must be a function or a sequence of functions describing clauses of various arities. A descriptor may also set `accumulate` to `true`: then, if its arguments or return value do not conform to its `pre` or `post` specs, it raises an error that explains every failure, and not only the first, and holds them as data (see `explain_data`) at `failures`. With two arguments, takes a string `name` and a function `body`.',
+  pre: args([fn_descriptor], [is_str, fn_body]),
   body: [
     (descriptor) => Object.defineProperty(defn_({...descriptor}), 'type', {value: fn, writable: true}),
     (name, body) => Object.defineProperty(fn_(name, body), 'type', {value: fn, writable: true})
@@ -285,7 +289,7 @@ let rename = fn({
 });
 
 export default ns(Fn, {
-    defn: fn, fn, partial, loop, recur: Fn.recur,
+    defn: fn, fn, fn_descriptor, fn_body, partial, loop, recur: Fn.recur,
     once, thread, thread_some, pipe, pipe_some, comp, comp_some, method, show,
     call, apply, ap, thunk, id, just, rename
 });
@@ -0,0 +1,20 @@
+//////////////////// Hashing
+// A signed version of `hash`, the counterpart of `eq`.
+
+import L from './deps.js';
+import NS from './ns.js';
+import Fn from './fns.js';
+
+let hash_ = L.hash;
+let {defn} = Fn;
+let {ns} = NS;
+
+let hash = defn({
+  name: 'hash',
+  doc: `Returns a hash of any value: a 32-bit integer. Values that are \`eq\` have the same hash, so hashed collections (\`HashMap\`, \`HashSet\`) use hashes to find values quickly. Values that are not \`eq\` usually, but not always, have different hashes.
+  
+  Atoms hash by value. Sequences hash their elements in order, whatever kind of sequence they are; object literals hash their entries, in any order. Anything else hashes by identity, unless its type has a \`hash\` function in its namespace, which it must if its namespace has an \`eq\` function. Frozen values keep their hashes once computed.`,
+  body: (x) => hash_(x)
+});
+
+export default ns(L, {hash});
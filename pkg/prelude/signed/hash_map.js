@@ -0,0 +1,382 @@
+//////////////////// Hash maps
+// A HashMap is a persistent map: an immutable collection of key/value
+// pairs, which shares structure with the maps it is made from. Unlike
+// objects, its keys may be any value, and keys are the same if they are
+// `eq`: `[1, 2]` and `vec(1, 2)` are the same key.
+// It is a hash array mapped trie (HAMT), after Phil Bagwell's "Ideal
+// Hash Trees" (see `cutting_room/data_structures.md`). Each key is
+// hashed to 32 bits by `hash`; each level of the trie consumes 5 bits
+// of the hash, and each node stores only the children it has, with a
+// bitmap saying which of its 32 possible children those are. Keys
+// whose hashes are identical share a collision node. Adding, updating,
+// or removing a key copies only the nodes on the path to it: O(log32 n).
+// It is called `HashMap`, and not `Map`, so as not to shadow JS's `Map`.
+
+// TODOs:
+// [ ] transients, to build maps quickly (e.g. in `into`)
+// [ ] `merge`, `select_keys`, `update_in` for HashMaps
+
+import L from './deps.js';
+import T from './type.js';
+import NS from './ns.js';
+import Fn from './fns.js';
+import S from './spec.js';
+import P from './preds.js';
+
+let {eq, hash} = L;
+let {fn, partial} = Fn;
+let {type, create, is} = T;
+let {ns} = NS;
+let {args, tup, iter_of, or} = S;
+let {is_any, is_some, is_fn, is_obj} = P;
+
+let hash_map_t = type({name: 'HashMap'});
+
+let is_hash_map = fn({
+  name: 'is_hash_map',
+  doc: 'Tells if something is a HashMap.',
+  body: is(hash_map_t)
+});
+
+////////// The trie
+// Nodes are frozen JS objects of three kinds:
+// - entries, which hold a key, its value, and the key's hash
+// - branches, which hold a bitmap and the children it maps
+// - collisions, which hold the entries whose keys share a hash
+let bits = 5;
+let mask = (1 << bits) - 1;
+
+let entry = (hash, key, value) => Object.freeze({kind: 'entry', hash, key, value});
+let branch = (bitmap, children) => Object.freeze({kind: 'branch', bitmap, children});
+let collision = (hash, entries) => Object.freeze({kind: 'collision', hash, entries});
+
+let empty_branch = branch(0, []);
+
+// counts the bits that are set in a 32-bit integer
+let popcount = (n) => {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101)) >>> 24;
+};
+
+// the bit for a hash at a level of the trie, and the index of its child
+let bit_for = (hash, shift) => 1 << ((hash >>> shift) & mask);
+let index_for = (bitmap, bit) => popcount(bitmap & (bit - 1));
+
+let insert_at = (arr, index, x) => [...arr.slice(0, index), x, ...arr.slice(index)];
+let replace_at = (arr, index, x) => [...arr.slice(0, index), x, ...arr.slice(index + 1)];
+let remove_at = (arr, index) => [...arr.slice(0, index), ...arr.slice(index + 1)];
+
+// makes a node holding two nodes with different hashes, which were
+// at the same place at a level of the trie; their hashes diverge by
+// the last level, at shift 30
+let merge = (shift, a, b) => {
+  let bit_a = bit_for(a.hash, shift);
+  let bit_b = bit_for(b.hash, shift);
+  if (bit_a === bit_b) return branch(bit_a, [merge(shift + bits, a, b)]);
+  return branch(bit_a | bit_b, (bit_a >>> 0) < (bit_b >>> 0) ? [a, b] : [b, a]);
+};
+
+let find_entry = (entries, key) => entries.findIndex((e) => eq(e.key, key));
+
+// returns the node with the key set to the value, and whether the key
+// is new; returns the same node if nothing changes
+let assoc_node = (node, shift, hash, key, value) => {
+  if (node.kind === 'collision') {
+    if (hash !== node.hash) return [merge(shift, node, entry(hash, key, value)), true];
+    let index = find_entry(node.entries, key);
+    if (index < 0) return [collision(hash, [...node.entries, entry(hash, key, value)]), true];
+    let found = node.entries[index];
+    if (found.value === value) return [node, false];
+    return [collision(hash, replace_at(node.entries, index, entry(hash, found.key, value))), false];
+  }
+  let bit = bit_for(hash, shift);
+  let index = index_for(node.bitmap, bit);
+  if ((node.bitmap & bit) === 0) {
+    return [branch(node.bitmap | bit, insert_at(node.children, index, entry(hash, key, value))), true];
+  }
+  let child = node.children[index];
+  if (child.kind === 'entry') {
+    if (eq(child.key, key)) {
+      if (child.value === value) return [node, false];
+      return [branch(node.bitmap, replace_at(node.children, index, entry(hash, child.key, value))), false];
+    }
+    let added = child.hash === hash
+      ? collision(hash, [child, entry(hash, key, value)])
+      : merge(shift + bits, child, entry(hash, key, value));
+    return [branch(node.bitmap, replace_at(node.children, index, added)), true];
+  }
+  let [new_child, is_new] = assoc_node(child, shift + bits, hash, key, value);
+  if (new_child === child) return [node, false];
+  return [branch(node.bitmap, replace_at(node.children, index, new_child)), is_new];
+};
+
+// returns the node without the key: the same node if the key is not
+// there; `undefined` if nothing is left; and a lone entry, so that the
+// node above can hold it in place of a node that holds only it
+let dissoc_node = (node, shift, hash, key) => {
+  if (node.kind === 'collision') {
+    let index = find_entry(node.entries, key);
+    if (index < 0) return node;
+    if (node.entries.length === 2) return node.entries[1 - index];
+    return collision(hash, remove_at(node.entries, index));
+  }
+  let bit = bit_for(hash, shift);
+  if ((node.bitmap & bit) === 0) return node;
+  let index = index_for(node.bitmap, bit);
+  let child = node.children[index];
+  let new_child = child.kind === 'entry'
+    ? (eq(child.key, key) ? undefined : child)
+    : dissoc_node(child, shift + bits, hash, key);
+  if (new_child === child) return node;
+  if (new_child === undefined) {
+    if (node.children.length === 1) return undefined;
+    let rest = remove_at(node.children, index);
+    if (shift > 0 && rest.length === 1 && rest[0].kind === 'entry') return rest[0];
+    return branch(node.bitmap ^ bit, rest);
+  }
+  if (shift > 0 && node.children.length === 1 && new_child.kind === 'entry') return new_child;
+  return branch(node.bitmap, replace_at(node.children, index, new_child));
+};
+
+// returns the entry for the key, or undefined if it is not there
+let get_entry = (node, hash, key) => {
+  let shift = 0;
+  while (node.kind === 'branch') {
+    let bit = bit_for(hash, shift);
+    if ((node.bitmap & bit) === 0) return undefined;
+    node = node.children[index_for(node.bitmap, bit)];
+    shift += bits;
+  }
+  if (node.kind === 'entry') return eq(node.key, key) ? node : undefined;
+  if (node.hash !== hash) return undefined;
+  return node.entries[find_entry(node.entries, key)];
+};
+
+let walk = function* (node) {
+  if (node.kind === 'entry') {
+    yield node;
+  } else if (node.kind === 'collision') {
+    yield* node.entries;
+  } else {
+    for (let child of node.children) yield* walk(child);
+  }
+};
+
+////////// HashMaps
+// a HashMap holds the root of its trie, and its `size`; it is frozen,
+// so that `hash` can keep its hash
+let wrap = (root, size) => Object.freeze(create(hash_map_t, {root, size}));
+
+let empty_map = wrap(empty_branch, 0);
+
+let entries_of = (map) => [...walk(map.root)].map(({key, value}) => [key, value]);
+
+let assoc_ = (map, key, value) => {
+  let [root, is_new] = assoc_node(map.root, 0, hash(key), key, value);
+  return root === map.root ? map : wrap(root, is_new ? map.size + 1 : map.size);
+};
+
+let from_entries = (entries) => {
+  let map = empty_map;
+  for (let [key, value] of entries) {
+    map = assoc_(map, key, value);
+  }
+  return map;
+};
+
+let kv = tup(is_any, is_any);
+
+let empty = fn({
+  name: 'empty',
+  doc: 'Returns an empty HashMap.',
+  body: () => empty_map
+});
+
+let hash_map = fn({
+  name: 'hash_map',
+  doc: 'Creates a HashMap. Takes alternating keys and values: `hash_map(\'a\', 1, [1, 2], \'b\'); //=> hash_map(\'a\', 1, [ 1, 2 ], \'b\')`. Keys may be any value.',
+  pre: args([], [is_any, is_any]),
+  body: (...kvs) => {
+    if (kvs.length % 2 !== 0) L.Err.raise(TypeError, `hash_map takes keys and values in pairs, but received ${kvs.length} argument(s).`);
+    let entries = [];
+    for (let i = 0; i < kvs.length; i += 2) {
+      entries.push([kvs[i], kvs[i + 1]]);
+    }
+    return from_entries(entries);
+  }
+});
+
+let from = fn({
+  name: 'from',
+  doc: 'Creates a HashMap from an iterable of `[key, value]` tuples, or from the properties of an object. Given a HashMap, returns it.',
+  pre: args([or(is_obj, is_hash_map, iter_of(kv))]),
+  body: (xs) => {
+    if (is_hash_map(xs)) return xs;
+    if (is_obj(xs)) return from_entries(Object.entries(xs));
+    return from_entries(xs);
+  }
+});
+
+let assoc = fn({
+  name: 'assoc',
+  doc: 'Returns a new HashMap with the value at the key. The new HashMap shares structure with the old one.',
+  pre: args([is_hash_map, is_any, is_any]),
+  body: assoc_
+});
+
+let dissoc = fn({
+  name: 'dissoc',
+  doc: 'Returns a new HashMap without the key. The opposite of `assoc`. If the key is not there, returns the HashMap unchanged.',
+  pre: args([is_hash_map, is_any]),
+  body: (map, key) => {
+    let root = dissoc_node(map.root, 0, hash(key), key);
+    if (root === map.root) return map;
+    return wrap(root === undefined ? empty_branch : root, map.size - 1);
+  }
+});
+
+let get = fn({
+  name: 'get',
+  doc: 'Gets the value stored at a key in a HashMap. Returns `undefined`, or the optional `not_found` value, if there is nothing at the key. With one argument, returns a function that gets that key from a HashMap.',
+  pre: args([is_any], [is_any, is_hash_map], [is_any, is_hash_map, is_some]),
+  body: [
+    (key) => partial(get, key),
+    (key, map) => {
+      let found = get_entry(map.root, hash(key), key);
+      return found === undefined ? undefined : found.value;
+    },
+    (key, map, not_found) => {
+      let value = get(key, map);
+      return value == undefined ? not_found : value;
+    }
+  ]
+});
+
+let has = fn({
+  name: 'has',
+  doc: 'Tells if a HashMap has a key, even if the value there is `undefined`.',
+  pre: args([is_any], [is_any, is_hash_map]),
+  body: [
+    (key) => partial(has, key),
+    (key, map) => get_entry(map.root, hash(key), key) !== undefined
+  ]
+});
+
+let update = fn({
+  name: 'update',
+  doc: 'Updates a value in a HashMap. Takes, at minimum, a HashMap, a key, and a function, and returns a new HashMap with the value at the key updated to be the result of passing it to the function. If the key does not exist, passes `undefined` as the old value. Any additional arguments to the function can be supplied.',
+  pre: args([is_hash_map, is_any, is_fn], [is_hash_map, is_any, is_fn, is_any]),
+  body: [
+    (map, key, f) => assoc_(map, key, f(get(key, map))),
+    (map, key, f, x, ...more) => assoc_(map, key, f(get(key, map), x, ...more))
+  ]
+});
+
+let conj = fn({
+  name: 'conj',
+  doc: '`conj`oins a `[key, value]` tuple to a HashMap.',
+  pre: args([is_hash_map, kv]),
+  body: (map, [key, value]) => assoc_(map, key, value)
+});
+
+let concat = fn({
+  name: 'concat',
+  doc: 'Takes a HashMap and zero or more iterables of `[key, value]` tuples, and returns a new HashMap with all their entries added. Later entries take precedence. This is how `into` puts things into a HashMap: `into(hash_map(), [[\'a\', 1]]); //=> hash_map(\'a\', 1)`.',
+  pre: args([is_hash_map], [is_hash_map, iter_of(kv)]),
+  body: (map, ...kvss) => kvss.reduce((map, kvs) => {
+    for (let [key, value] of kvs) {
+      map = assoc_(map, key, value);
+    }
+    return map;
+  }, map)
+});
+
+let keys = fn({
+  name: 'keys',
+  doc: 'Returns an array of the keys in a HashMap.',
+  pre: args([is_hash_map]),
+  body: (map) => [...walk(map.root)].map(({key}) => key)
+});
+
+let values = fn({
+  name: 'values',
+  doc: 'Returns an array of the values stored in a HashMap.',
+  pre: args([is_hash_map]),
+  body: (map) => [...walk(map.root)].map(({value}) => value)
+});
+
+let entries = fn({
+  name: 'entries',
+  doc: 'Returns an array of `[key, value]` tuples, one for each key in a HashMap.',
+  pre: args([is_hash_map]),
+  body: entries_of
+});
+
+let count = fn({
+  name: 'count',
+  doc: 'Returns the number of keys in a HashMap.',
+  pre: args([is_hash_map]),
+  body: ({size}) => size
+});
+
+let iterate = fn({
+  name: 'iterate',
+  doc: 'Iterates through the `[key, value]` tuples in a HashMap.',
+  pre: args([is_hash_map]),
+  body: (map) => function* () {
+    for (let {key, value} of walk(map.root)) yield [key, value];
+  }
+});
+
+let show = fn({
+  name: 'show',
+  doc: 'Shows a HashMap.',
+  pre: args([is_hash_map]),
+  body: (map) => `hash_map(${entries_of(map)
+    .map(([key, value]) => `${L.show(key)}, ${L.show(value)}`)
+    .join(', ')})`
+});
+
+// entries are hashed in any order: addition does not care about order
+let hash_ = fn({
+  name: 'hash',
+  doc: 'Hashes a HashMap: HashMaps that are `eq` have the same hash, whatever order their keys were added in.',
+  pre: args([is_hash_map]),
+  body: (map) => {
+    let h = 0;
+    for (let {key, value} of walk(map.root)) {
+      h = (h + (hash(key) ^ hash(value))) | 0;
+    }
+    return h;
+  }
+});
+
+// HashMaps are equal if they have the same keys, with equal values
+let eq_ = fn({
+  name: 'eq',
+  doc: 'Tells if a HashMap is equal to another value: if the value is a HashMap with the same keys, and equal values at each key.',
+  pre: args([is_hash_map], [is_hash_map, is_any]),
+  body: [
+    (map) => partial(eq_, map),
+    (map, x) => {
+      if (map === x) return true;
+      if (!is_hash_map(x) || map.size !== x.size) return false;
+      for (let {key, value} of walk(map.root)) {
+        let found = get_entry(x.root, hash(key), key);
+        if (found === undefined || !eq(value, found.value)) return false;
+      }
+      return true;
+    }
+  ]
+});
+
+export default ns({
+  type: hash_map_t,
+  members: {
+    hash_map, empty, from, is_hash_map,
+    assoc, dissoc, get, has, update, conj, concat,
+    keys, values, entries, count,
+    iterate, show, eq: eq_, hash: hash_
+  }
+});
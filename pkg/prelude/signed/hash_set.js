@@ -0,0 +1,222 @@
+//////////////////// Hash sets
+// A HashSet is a persistent set: an immutable collection of values, in
+// which no two values are `eq`. It is a HashMap whose keys are its
+// values (see `hash_map.js`), so adding or removing a value, and
+// telling whether a value is there, take O(log32 n) time.
+// Use a HashSet in place of an array plus `index_of` when what matters
+// is whether a value is there, and not where.
+// It is called `HashSet`, and not `Set`, so as not to shadow JS's `Set`.
+
+// TODOs:
+// [ ] `map` and `filter` that return HashSets
+// [ ] transients, to build sets quickly (e.g. in `into`)
+
+import L from './deps.js';
+import T from './type.js';
+import NS from './ns.js';
+import Fn from './fns.js';
+import S from './spec.js';
+import P from './preds.js';
+import HashMap from './hash_map.js';
+
+let {fn, partial} = Fn;
+let {type, create, is} = T;
+let {ns} = NS;
+let {args} = S;
+let {is_any, is_iter} = P;
+
+let hash_set_t = type({name: 'HashSet'});
+
+let is_hash_set = fn({
+  name: 'is_hash_set',
+  doc: 'Tells if something is a HashSet.',
+  body: is(hash_set_t)
+});
+
+// a HashSet holds a HashMap from each of its values to itself, and its
+// `size`; it is frozen, so that `hash` can keep its hash
+let wrap = (map) => Object.freeze(create(hash_set_t, {map, size: map.size}));
+
+let empty_set = wrap(HashMap.empty());
+
+let add = (set, x) => {
+  let map = HashMap.assoc(set.map, x, x);
+  return map === set.map ? set : wrap(map);
+};
+
+let remove = (set, x) => {
+  let map = HashMap.dissoc(set.map, x);
+  return map === set.map ? set : wrap(map);
+};
+
+let contains = (set, x) => HashMap.has(x, set.map);
+
+let add_all = (set, xs) => {
+  for (let x of xs) {
+    set = add(set, x);
+  }
+  return set;
+};
+
+// anything iterable may be treated as a set
+let as_set = (xs) => is_hash_set(xs) ? xs : add_all(empty_set, xs);
+
+let empty = fn({
+  name: 'empty',
+  doc: 'Returns an empty HashSet.',
+  body: () => empty_set
+});
+
+let hash_set = fn({
+  name: 'hash_set',
+  doc: 'Takes its list of arguments and returns a HashSet containing them. Any arguments that are `eq` to one another appear only once. E.g., `hash_set(1, 2, 1, [3]); //=> hash_set(1, 2, [ 3 ])`.',
+  body: (...xs) => add_all(empty_set, xs)
+});
+
+let from = fn({
+  name: 'from',
+  doc: 'Takes an iterable and returns a HashSet containing its elements. Given a HashSet, returns it.',
+  pre: args([is_iter]),
+  body: as_set
+});
+
+let conj = fn({
+  name: 'conj',
+  doc: 'Takes a HashSet and one or more values, and returns a new HashSet with the values added. Values already in the HashSet are not added again.',
+  pre: args([is_hash_set, is_any]),
+  body: [
+    (set, x) => add(set, x),
+    (set, x, y, ...more) => add_all(add(set, x), [y, ...more])
+  ]
+});
+
+let disj = fn({
+  name: 'disj',
+  doc: 'Takes a HashSet and one or more values, and returns a new HashSet without the values. The opposite of `conj`. Short for "disjoin".',
+  pre: args([is_hash_set, is_any]),
+  body: [
+    (set, x) => remove(set, x),
+    (set, x, y, ...more) => [y, ...more].reduce(remove, remove(set, x))
+  ]
+});
+
+let has = fn({
+  name: 'has',
+  doc: 'Tells if a HashSet has a value: if any of its values is `eq` to the value. With one argument, returns a predicate function.',
+  pre: args([is_any], [is_any, is_hash_set]),
+  body: [
+    (x) => partial(has, x),
+    (x, set) => contains(set, x)
+  ]
+});
+
+let concat = fn({
+  name: 'concat',
+  doc: 'Takes a HashSet and zero or more iterables, and returns a new HashSet with all their elements added. This is how `into` puts things into a HashSet: `into(hash_set(), map(inc), [1, 2, 2]); //=> hash_set(2, 3)`.',
+  pre: args([is_hash_set], [is_hash_set, is_iter]),
+  body: (set, ...xss) => xss.reduce(add_all, set)
+});
+
+let union = fn({
+  name: 'union',
+  doc: 'Takes a HashSet and any number of iterables, and returns a HashSet of the values that are in any of them.',
+  pre: args([is_hash_set], [is_hash_set, is_iter]),
+  body: (set, ...xss) => xss.reduce(add_all, set)
+});
+
+let intersection = fn({
+  name: 'intersection',
+  doc: 'Takes a HashSet and any number of iterables, and returns a HashSet of the values that are in all of them.',
+  pre: args([is_hash_set], [is_hash_set, is_iter]),
+  body: (set, ...xss) => xss.map(as_set).reduce((out, other) => {
+    for (let x of out) {
+      if (!contains(other, x)) out = remove(out, x);
+    }
+    return out;
+  }, set)
+});
+
+let difference = fn({
+  name: 'difference',
+  doc: 'Takes a HashSet and any number of iterables, and returns a HashSet of the values in the HashSet that are in none of the iterables.',
+  pre: args([is_hash_set], [is_hash_set, is_iter]),
+  body: (set, ...xss) => xss.reduce((out, xs) => {
+    for (let x of xs) {
+      out = remove(out, x);
+    }
+    return out;
+  }, set)
+});
+
+let is_subset = fn({
+  name: 'is_subset',
+  doc: 'Tells if every value in the first HashSet is in the second. E.g., `is_subset(hash_set(1), hash_set(1, 2)); //=> true`.',
+  pre: args([is_hash_set, is_hash_set]),
+  body: (set, other) => {
+    if (set.size > other.size) return false;
+    for (let x of set) {
+      if (!contains(other, x)) return false;
+    }
+    return true;
+  }
+});
+
+let count = fn({
+  name: 'count',
+  doc: 'Returns the number of values in a HashSet.',
+  pre: args([is_hash_set]),
+  body: ({size}) => size
+});
+
+let iterate = fn({
+  name: 'iterate',
+  doc: 'Iterates through the values in a HashSet.',
+  pre: args([is_hash_set]),
+  body: ({map}) => () => HashMap.keys(map)[Symbol.iterator]()
+});
+
+let show = fn({
+  name: 'show',
+  doc: 'Shows a HashSet.',
+  pre: args([is_hash_set]),
+  body: ({map}) => `hash_set(${HashMap.keys(map).map((x) => L.show(x)).join(', ')})`
+});
+
+// HashSets are equal if they have the same values, in whatever order
+let eq = fn({
+  name: 'eq',
+  doc: 'Tells if a HashSet is equal to another value: if the value is a HashSet with the same values.',
+  pre: args([is_hash_set], [is_hash_set, is_any]),
+  body: [
+    (set) => partial(eq, set),
+    (set, x) => is_hash_set(x) && L.eq(set.map, x.map)
+  ]
+});
+
+// a HashSet's map holds each value as its own key, and `x ^ x` is 0, so
+// a set hashes its values, not its map: addition does not care about
+// order, and the salt keeps sets apart from other sums of hashes
+let set_salt = L.hash('HashSet');
+
+let hash = fn({
+  name: 'hash',
+  doc: 'Hashes a HashSet: HashSets that are `eq` have the same hash, whatever order their values were added in.',
+  pre: args([is_hash_set]),
+  body: ({map}) => {
+    let h = 0;
+    for (let x of HashMap.keys(map)) {
+      h = (h + L.hash(x)) | 0;
+    }
+    return h ^ set_salt;
+  }
+});
+
+export default ns({
+  type: hash_set_t,
+  members: {
+    hash_set, empty, from, is_hash_set,
+    conj, disj, has, concat,
+    union, intersection, difference, is_subset,
+    count, iterate, show, eq, hash
+  }
+});
@@ -13,6 +13,10 @@ let conj = method({
     name: 'conj'
 });
 
+let dissoc = method({
+    name: 'dissoc'
+});
+
 let empty = method({
     name: 'empty'
 });
@@ -55,6 +59,6 @@ let maybe = method({
 export default ns({
     name: 'Mthd',
     members: {
-        assoc, conj, empty, index_of, slice, and, or, not, update, concat, maybe
+        assoc, conj, dissoc, empty, index_of, slice, and, or, not, update, concat, maybe
     }
 });
\ No newline at end of file
@@ -1,10 +1,14 @@
 import Arr from './arr.js';
 import Bool from './bools.js';
+import Check from './check.js';
 import Ludus from './deps.js';
 import Ducers from './ducers.js';
+import Enum from './enum.js';
 import Err from './errors.js';
 import Flow from './flow.js';
 import Fn from './fns.js';
+import HashMap from './hash_map.js';
+import HashSet from './hash_set.js';
 import Lazy from './lazy.js';
 import NS from './ns.js';
 import Num from './nums.js';
@@ -15,19 +19,22 @@ import Seq from './seqs.js';
 import Spec from './spec.js';
 import Str from './strings.js';
 import Type from './type.js';
+import Vec from './vec.js';
 import Method from './methods.js';
 
 import './eq.js';
+import './hash.js';
 import './globals.js';
 
 let {ns} = NS;
 
 let ctx = {
-    Arr, Bool, Ducers, Err, Flow, Fn, Lazy, NS, Num, Obj,
-    Preds, Ref, Seq, Spec, Str, Type,
+    Arr, Bool, Check, Ducers, Enum, Err, Flow, Fn, HashMap, HashSet, Lazy,
+    NS, Num, Obj, Preds, Ref, Seq, Spec, Str, Type, Vec,
     // core Ludus language functions (special forms + absolute core)
     when: Flow.when, cond: Flow.cond, fcond: Flow.fcond,
     ns: NS.ns, raise: Err.raise, eq: Ludus.eq, is_identical: Ludus.is_identical,
+    hash: Ludus.hash,
     loop: Fn.loop, recur: Fn.recur,
     // Ludus util functions,
     print: Ludus.print, warn: Ludus.warn, report: Ludus.report, 
@@ -37,7 +44,8 @@ let ctx = {
     runtime: Ludus.runtime,
     // basic type constructors
     arr: Arr.arr, bool: Bool.bool, fn: Fn.fn, num: Num.num, ref: Ref.ref, 
-    seq: Seq.seq, spec: Spec.spec, str: Str.str, type: Type.type,
+    seq: Seq.seq, spec: Spec.spec, str: Str.str, type: Type.type, vec: Vec.vec,
+    hash_map: HashMap.hash_map, hash_set: HashSet.hash_set,
     // methods
     ...NS.members(Method),
     // from Arr
@@ -84,6 +92,8 @@ let ctx = {
     is_spec: Spec.is_spec, is_valid: Spec.is_valid, tup: Spec.tup, 
     iter_of: Spec.iter_of, at: Spec.at, record: Spec.record,
     dict: Spec.dict, args: Spec.args, explain: Spec.explain,
+    explain_data: Spec.explain_data, conform: Spec.conform,
+    unform: Spec.unform, is_invalid: Spec.is_invalid,
     // from Str
     capitalize: Str.capitalize, chars: Str.chars, is_char: Str.is_char, lowcase: Str.lowcase, split: Str.split, join: Str.from, trim: Str.trim,
     upcase: Str.upcase, words: Str.words, join_with: Str.join_with,
@@ -97,8 +107,8 @@ export default ns({
     name: 'Ludus',
     members: {
         // other namespaces
-        Arr, Bool, Ducers, Err, Flow, Fn, Lazy, NS, Num, Obj,
-        Preds, Ref, Seq, Spec, Str, Type,
+        Arr, Bool, Check, Ducers, Enum, Err, Flow, Fn, HashMap, HashSet,
+        Lazy, NS, Num, Obj, Preds, Ref, Seq, Spec, Str, Type, Vec,
         // Ludus core functions
         // Ludus util functions
         print: Ludus.print, warn: Ludus.warn, report: Ludus.report, 
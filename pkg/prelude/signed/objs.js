@@ -8,6 +8,8 @@ import NS from './ns.js';
 import Spec from './spec.js';
 import Pred from './preds.js';
 import Arr from './arr.js';
+import Vec from './vec.js';
+import HashMap from './hash_map.js';
 
 let {fn, partial} = Fn;
 let {is_any, is_key, is_obj, is_fn, is_js_obj, is_some} = Pred;
@@ -23,6 +25,8 @@ let get = fn({
     (key, obj) => {
       if (obj == undefined) return undefined;
       if (Arr.is_immutable(obj)) return obj[key];
+      if (Vec.is_vec(obj)) return Arr.is_index(key) ? Vec.get(key, obj) : undefined;
+      if (HashMap.is_hash_map(obj)) return HashMap.get(key, obj);
       return Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
     },
     (key, obj, not_found) => {
@@ -164,20 +168,35 @@ let merge = fn({
 
 let keys = fn({
   name: 'keys',
-  doc: 'Returns an array of an object\'s keys. Returns an empty array if the object has no properties.',
-  body: (obj) => obj == undefined ? [] : Object.keys(obj)
+  doc: 'Returns an array of an object\'s keys. Returns an empty array if the object has no properties. Given a HashMap, returns its keys; given a Vec, its indices.',
+  body: (obj) => {
+    if (obj == undefined) return [];
+    if (HashMap.is_hash_map(obj)) return HashMap.keys(obj);
+    if (Vec.is_vec(obj)) return Vec.keys(obj);
+    return Object.keys(obj);
+  }
 });
 
 let values = fn({
   name: 'values',
-  doc: 'Returns an array of the values stored in an object. Returns an empty array if the object has no properties.',
-  body: (obj) => obj == undefined ? [] : Object.values(obj)
+  doc: 'Returns an array of the values stored in an object. Returns an empty array if the object has no properties. Given a HashMap, returns the values stored in it; given a Vec, its elements.',
+  body: (obj) => {
+    if (obj == undefined) return [];
+    if (HashMap.is_hash_map(obj)) return HashMap.values(obj);
+    if (Vec.is_vec(obj)) return Vec.values(obj);
+    return Object.values(obj);
+  }
 });
 
 let entries = fn({
   name: 'entries',
-  doc: 'Returns an array of `[key, value]` pairs for each property on an object. Returns an empty array if the object has no properties. E.g., `entries({a: 1, b: 2}); //=> [ [ \'a\', 1 ], [ \'b\', 2 ] ]`.',
-  body: (obj) => obj == undefined ? [] : Object.entries(obj)
+  doc: 'Returns an array of `[key, value]` pairs for each property on an object. Returns an empty array if the object has no properties. E.g., `entries({a: 1, b: 2}); //=> [ [ \'a\', 1 ], [ \'b\', 2 ] ]`. Given a HashMap, returns its entries; given a Vec, `[index, element]` pairs.',
+  body: (obj) => {
+    if (obj == undefined) return [];
+    if (HashMap.is_hash_map(obj)) return HashMap.entries(obj);
+    if (Vec.is_vec(obj)) return Vec.entries(obj);
+    return Object.entries(obj);
+  }
 });
 
 let empty = fn({
@@ -124,17 +124,90 @@ let args = defn({
   body: Spec.args
 });
 
+let cat = defn({
+  name: 'cat',
+  doc: 'Creates a sequence spec that matches each of the passed specs in turn, one after the other. Like other sequence specs (`alt`, `star`, `plus`, `opt`), it works like a regular expression over the elements of a sequence, and may contain other sequence specs without their matching nested sequences. Other specs match a single element. E.g. `is_valid(cat(is_str, star(is_int)), [\'foo\', 1, 2]) //=> true`. Useful to spec arguments that `args` cannot: `cat(is_any, plus(clause))` specs `cond`.',
+  pre: Spec.args([spec_s]),
+  body: Spec.cat
+});
+
+let alt = defn({
+  name: 'alt',
+  doc: 'Creates a sequence spec that matches any one of the passed specs. E.g., `is_valid(cat(alt(is_str, is_int), is_bool), [42, true]) //=> true`. See `cat`.',
+  pre: Spec.args([spec_s]),
+  body: Spec.alt
+});
+
+let star = defn({
+  name: 'star',
+  doc: 'Creates a sequence spec that matches the passed spec zero or more times. E.g., `is_valid(star(is_int), []) //=> true`. See `cat`.',
+  pre: Spec.args([spec_s]),
+  body: Spec.star
+});
+
+let plus = defn({
+  name: 'plus',
+  doc: 'Creates a sequence spec that matches the passed spec one or more times. E.g., `is_valid(plus(is_int), []) //=> false`. See `cat`.',
+  pre: Spec.args([spec_s]),
+  body: Spec.plus
+});
+
+let opt = defn({
+  name: 'opt',
+  doc: 'Creates a sequence spec that matches the passed spec zero times or once: it is optional. E.g., `is_valid(cat(is_str, opt(is_int)), [\'foo\']) //=> true`. See `cat`.',
+  pre: Spec.args([spec_s]),
+  body: Spec.opt
+});
+
+let is_sequence_spec = defn({
+  name: 'is_sequence_spec',
+  doc: 'Tells if something is a sequence spec: one made by `cat`, `alt`, `star`, `plus`, or `opt`.',
+  body: Spec.is_sequence_spec
+});
+
+let explain_data = defn({
+  name: 'explain_data',
+  doc: 'Explains why a value did not conform to a spec, as data. Returns `undefined` if the value conforms. Otherwise, returns a failure: an object with the `spec` that failed, the `value` that failed it, the `path` (a list of keys and indices) to that value from the value passed in, and the failures of the specs within it that caused it to fail, as `reasons`, which are failures in turn. Some failures are down not to other specs but to a `problem`: `not_array`, `length`, `not_iterable`, `not_object`, `arity`, `not_sequence`, `ended`, or `extra`. `length` and `arity` also tell what was `expected`. `ended` and `extra` are failures of sequence specs: the sequence ended where more was `expected` (a list of specs), or it went on past the end of a match; both tell where, `at`. Failures of `args` also have the `clause` of the arguments: the `tup` spec they were checked against.',
+  pre: Spec.args([spec_s, is_any]),
+  body: Spec.explain_data
+});
+
 let explain = defn({
   name: 'explain',
-  doc: 'Provides a hopefully-informative explanation of why a value did not conform to a spec.',
+  doc: 'Provides a hopefully-informative explanation of why a value did not conform to a spec: renders `explain_data` in English.',
   pre: Spec.args([spec_s, is_any, maybe(is_int)]),
   body: Spec.explain
 });
 
+let conform = defn({
+  name: 'conform',
+  doc: 'Validates and parses a value with a spec at once: takes a spec and a value, and returns `invalid` if the value does not conform to the spec. Otherwise, returns a view of the value that tells how it conforms. Where a spec has alternatives, the view is tagged, as `{tag, value}`: `or` and `alt` tag it with the name of the spec that matched; `args`, with the arity of the clause that matched, whose value is the arguments. `record` conforms the values at its keys; `tup`, `iter_of`, and `dict` their elements; `cat` returns a list of what each of its specs matched, and `star` and `plus` a list of each repetition. E.g., `conform(or(is_int, is_str), 42) //=> {tag: \'is_int\', value: 42}`. With a single argument, returns a function that conforms the passed value. See `unform`.',
+  pre: Spec.args([spec_s], [spec_s, is_any]),
+  body: [
+    (spec) => partial(conform, spec),
+    (spec, value) => Spec.conform(spec, value)
+  ]
+});
+
+let unform = defn({
+  name: 'unform',
+  doc: 'The inverse of `conform`: takes a spec and what it conformed, and returns the value that was conformed. (`iter_of` and sequence specs return arrays.) E.g., `unform(or(is_int, is_str), {tag: \'is_int\', value: 42}) //=> 42`.',
+  pre: Spec.args([spec_s, is_any]),
+  body: Spec.unform
+});
+
+let is_invalid = defn({
+  name: 'is_invalid',
+  doc: 'Tells if something is `invalid`: what `conform` returns when a value does not conform to a spec.',
+  body: Spec.is_invalid
+});
+
 export default ns({
   type: Spec.t, 
   members: {
-    and, args, at, spec, dict, explain,
+    and, args, at, spec, dict, explain, explain_data,
     is_spec, is_valid, maybe, not, or, record, rename,
-    iter_of, show, tup
+    iter_of, show, tup,
+    cat, alt, star, plus, opt, is_sequence_spec,
+    conform, unform, is_invalid, invalid: Spec.invalid
 }});
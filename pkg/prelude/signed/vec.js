@@ -0,0 +1,210 @@
+//////////////////// Vectors
+// A Vec is a persistent vector: an immutable, indexed collection, which
+// shares structure with the vectors it is made from. It wraps the
+// 32-way trie in `arr_immutable.js` (modeled on Clojure's vectors), so
+// adding or updating an element takes O(log32 n) time, instead of the
+// O(n) it takes to copy an array.
+// `conj` and `assoc` are methods, so `conj(v, x)` and `assoc(v, i, x)`
+// dispatch to the functions here when `v` is a Vec.
+
+// TODOs:
+// [ ] `unconj`, `last`, and `concat` that keep structural sharing
+// [ ] slices that share structure with the original vector
+// [ ] transients, to build vectors quickly (e.g. in `into`)
+
+import L from './deps.js';
+import T from './type.js';
+import NS from './ns.js';
+import Fn from './fns.js';
+import S from './spec.js';
+import P from './preds.js';
+import Arr from './arr.js';
+
+import A from './arr_immutable.js';
+
+let {eq} = L;
+let {fn, partial} = Fn;
+let {type, create, is} = T;
+let {ns} = NS;
+let {args} = S;
+let {is_any, is_some, is_int, is_fn, is_iter, is_sequence} = P;
+let {index} = Arr;
+
+let vec_t = type({name: 'Vec'});
+
+// a Vec holds its trie at `vector`, and its `size`, so that `count` and
+// `eq` can find its size quickly; it is frozen, so that `hash` can keep
+// its hash
+let wrap = (vector) => Object.freeze(create(vec_t, {vector, size: vector.size}));
+
+let empty_vec = wrap(A.empty());
+
+let is_vec = fn({
+  name: 'is_vec',
+  doc: 'Tells if something is a Vec.',
+  body: is(vec_t)
+});
+
+let empty = fn({
+  name: 'empty',
+  doc: 'Returns an empty Vec.',
+  body: () => empty_vec
+});
+
+let vec = fn({
+  name: 'vec',
+  doc: 'Takes its list of arguments and returns a Vec containing the arguments as elements, in order. E.g., `vec(1, 2, 3); //=> vec(1, 2, 3)`.',
+  body: (...values) => wrap(A.from(values))
+});
+
+let from = fn({
+  name: 'from',
+  doc: 'Takes an iterable and returns a Vec containing its elements, in order. Given a Vec, returns it.',
+  pre: args([is_iter]),
+  body: (xs) => is_vec(xs) ? xs : wrap(A.from([...xs]))
+});
+
+let conj = fn({
+  name: 'conj',
+  doc: 'Takes a Vec and one or more values, and returns a new Vec with the values added to the end. The new Vec shares structure with the old one.',
+  pre: args([is_vec, is_any]),
+  body: [
+    (v, x) => wrap(v.vector.conj(x)),
+    (v, x, y, ...more) => wrap([y, ...more].reduce((vector, z) => vector.conj(z), v.vector.conj(x)))
+  ]
+});
+
+let assoc = fn({
+  name: 'assoc',
+  doc: 'Takes a Vec, an index, and a value, and returns a new Vec with the element at the index set to the value. The new Vec shares structure with the old one. If the index is out of range (i.e., greater than or equal to the size of the Vec), returns the Vec unchanged.',
+  pre: args([is_vec, index, is_any]),
+  body: (v, i, value) => {
+    let vector = v.vector.update(Number(i), value);
+    return vector === v.vector ? v : wrap(vector);
+  }
+});
+
+let get = fn({
+  name: 'get',
+  doc: 'Gets the element of a Vec at an index. Returns `undefined`, or the optional `not_found` value, if there is no element at that index. With one argument, returns a function that gets that index from a Vec.',
+  pre: args([index], [index, is_vec], [index, is_vec, is_some]),
+  body: [
+    (i) => partial(get, i),
+    (i, v) => v.vector.get(Number(i)),
+    (i, v, not_found) => {
+      let value = get(i, v);
+      return value == undefined ? not_found : value;
+    }
+  ]
+});
+
+let slice = fn({
+  name: 'slice',
+  doc: 'Takes a Vec, a starting index, and an optional stopping index. Returns a new Vec that contains the elements of the original Vec from the start index (inclusive) to the stop index (exclusive).',
+  pre: args([is_vec, index], [is_vec, index, is_int]),
+  body: [
+    (v, start) => wrap(v.vector.slice(Number(start))),
+    (v, start, stop) => wrap(v.vector.slice(Number(start), stop))
+  ]
+});
+
+let update = fn({
+  name: 'update',
+  doc: 'Updates an element of a Vec. Takes, at minimum, a Vec, an index, and a function, and returns a new Vec with the element at the index updated to be the result of passing it to the function. Any additional arguments to the function can be supplied. If the index is out of range, passes `undefined` to the function, and returns the Vec unchanged. E.g., `update(vec(1, 2), 0, inc); //=> vec(2, 2)`.',
+  pre: args([is_vec, index, is_fn], [is_vec, index, is_fn, is_any]),
+  body: [
+    (v, i, f) => assoc(v, i, f(get(i, v))),
+    (v, i, f, x, ...more) => assoc(v, i, f(get(i, v), x, ...more))
+  ]
+});
+
+let concat = fn({
+  name: 'concat',
+  doc: 'Takes a Vec and zero or more iterables, and returns a new Vec with all their elements added to the end, in order. This is how `into` puts things into a Vec: `into(vec(), map(inc), [1, 2]); //=> vec(2, 3)`.',
+  pre: args([is_vec], [is_vec, is_iter]),
+  body: (v, ...xss) => {
+    let vector = xss.reduce((vector, xs) => {
+      for (let x of xs) {
+        vector = vector.conj(x);
+      }
+      return vector;
+    }, v.vector);
+    return vector === v.vector ? v : wrap(vector);
+  }
+});
+
+let keys = fn({
+  name: 'keys',
+  doc: 'Returns an array of the indices of a Vec.',
+  pre: args([is_vec]),
+  body: ({size}) => [...Array(size).keys()]
+});
+
+let values = fn({
+  name: 'values',
+  doc: 'Returns an array of the elements of a Vec.',
+  pre: args([is_vec]),
+  body: ({vector}) => [...vector]
+});
+
+let entries = fn({
+  name: 'entries',
+  doc: 'Returns an array of `[index, element]` pairs for each element of a Vec.',
+  pre: args([is_vec]),
+  body: ({vector}) => [...vector].map((x, i) => [i, x])
+});
+
+let count = fn({
+  name: 'count',
+  doc: 'Returns the number of elements in a Vec.',
+  pre: args([is_vec]),
+  body: ({size}) => size
+});
+
+let iterate = fn({
+  name: 'iterate',
+  doc: 'Iterates through a Vec.',
+  pre: args([is_vec]),
+  body: ({vector}) => () => vector[Symbol.iterator]()
+});
+
+let show = fn({
+  name: 'show',
+  doc: 'Shows a Vec.',
+  pre: args([is_vec]),
+  body: ({vector}) => `vec(${[...vector].map((x) => L.show(x)).join(', ')})`
+});
+
+// two Vecs that share their trie are equal without looking at any
+// element; a Vec is also equal to any other sequence with equal elements
+let eq_ = fn({
+  name: 'eq',
+  doc: 'Tells if a Vec is equal to another value: if the value is a sequence with equal elements, in the same order.',
+  pre: args([is_vec], [is_vec, is_any]),
+  body: [
+    (v) => partial(eq_, v),
+    (v, x) => {
+      if (is_vec(x)) return v.vector.eq(x.vector);
+      if (is_sequence(x)) return eq([...v.vector], [...x]);
+      return false;
+    }
+  ]
+});
+
+// Vecs hash as the arrays they are `eq` to do
+let hash = fn({
+  name: 'hash',
+  doc: 'Hashes a Vec: in order, by its elements, so that it has the same hash as an array that is `eq` to it.',
+  pre: args([is_vec]),
+  body: ({vector}) => L.hash([...vector])
+});
+
+export default ns({
+  type: vec_t,
+  members: {
+    vec, empty, from, is_vec,
+    conj, assoc, get, update, concat, slice, count,
+    keys, values, entries,
+    iterate, show, eq: eq_, hash
+  }
+});
@@ -21,7 +21,8 @@ let Ludus = {
   print: (...msgs) => { msgs.forEach(x => console.log(x)); },
   report: (...msgs) => { msgs.forEach(msg => console.error(msg)); },
   warn: (...msgs) => { msgs.forEach(msg => console.warn(msg)); },
-  check: globalThis["ludus/check"] === undefined ? true : globalThis["ludus/check"]
+  check: globalThis["ludus/check"] === undefined ? true : globalThis["ludus/check"],
+  accumulate: globalThis["ludus/accumulate"] === true
 };
 
 console.log(`Ludus typechecking is: ${Ludus.check ? "on" : "off"}`);
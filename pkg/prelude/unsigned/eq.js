@@ -9,10 +9,11 @@
 // At current, the algorithm below only does value-based equality for
 // object literals and anything that has an iterator, everything else
 // that isn't an atom is compared using reference-based equality.
-// We probably want to allow for user-defined behavior?--an `eq` method?
+// A type may define its own equality, with an `eq` function in its
+// namespace; that takes precedence over everything but identity.
 
 // TODO:
-// [ ] dispatch to `eq` method if it exists, maybe?
+// [x] dispatch to `eq` method if it exists, maybe?
 // [ ] what is the default behavior for Ludus types?
 // [ ] what to do when you've got two infinite sequences?
 //     ^ at current it will hang
@@ -28,9 +29,19 @@ let eq_ = L.method({
   not_found: () => false
 });
 
+// tells if something's type defines its own equality
+let has_eq = (x) => {
+  let ns = L.NS.get_ns(x);
+  return ns != undefined && 'eq' in ns;
+};
+
 let eq = (x, y) => {
   if (x === y) return true;
   if (x == undefined) return y == undefined;
+  // numbers are iterable (as ranges), but are equal only if identical
+  if (typeof x === 'number' || typeof y === 'number') return false;
+  if (has_eq(x)) return eq_(x, y);
+  if (has_eq(y)) return eq_(y, x);
   if (is_sequence(x) && is_sequence(y)) return eq_iter(x, y);
   if (is_obj(x) && is_obj(y)) return eq_assoc(x, y);
   return eq_(x, y);
@@ -44,6 +44,18 @@ class ArgumentError extends Error {
   }
 };
 
+// SpecError
+// An error for when arguments or returns do not conform to spec, which
+// holds every failure, as `explain_data`, at `failures`
+// not exported
+class SpecError extends Error {
+  constructor(message, failures) {
+    super(message);
+    this.name = 'SpecError';
+    this.failures = failures;
+  }
+};
+
 // n_ary :: (name, ...fn) -> fn
 // `n_ary` creates a function that dispatches on the number of arguments.
 // Throws if the number of arguments does not match an arity. However,
@@ -197,23 +209,51 @@ let fn = n_ary('fn',
   }
 );
 
-// pre_post :: ([fn], [fn], fn) -> fn
+// explain_args :: (failure) -> [string]
+// Explains a failure of a function's arguments one argument at a time,
+// where the failure tells which arguments failed (i.e., it is not down
+// to the number of arguments, or to the arguments as a whole).
+let explain_args = (failure) => failure.reasons.length === 0
+  || failure.reasons.some(({path}) => path.length === 0)
+  ? [Spec.explain(failure.spec, failure.value)]
+  : failure.reasons.map(({path, spec, value}) =>
+    `Argument ${path[0]}: ${Spec.explain(spec, value)}`);
+
+// pre_post :: ([fn], [fn], fn, boolean?) -> fn
 // `pre_post` wraps a function with predicates that evaluate
 // the arguments and return values. The first two arguments (`pre` and
 // `post`) must be arrays of functions. All of them are run against the
 // arguments/returns. Each `pre` function receives all the arguments.
 // The evaluation of predicates is Ludus-truthy and -falsy.
-// Pre and post short circuits on the first error (this is easier).
-// It dispatches error message to `explain`, defined in './predicates.js'.
-// TODO: reconsider short-circuiting: accumulate all failures?
+// It dispatches error message to `explain`, defined in './spec.js'.
+// Pre and post short circuit on the first error, unless the last
+// argument, `accumulate`, is true (or it is undefined, and
+// `Ludus.accumulate` is true). Then every `pre` spec is evaluated, and
+// (if they all pass) every `post` spec, and all failures are raised
+// together in a `SpecError`: its message explains each failing
+// argument, and it holds the failures, as `explain_data`.
 // TODO: conditional instrumentation based on environment, as `fn`, above
-let pre_post = (pre, post, body) => !Ludus.check 
+let pre_post = (pre, post, body, accumulate) => !Ludus.check 
   ? body 
   : rename(body.name, (...args) => {
   console.log(`Running ${body.name} with typechekcing on.`);
   if (!is_arr(pre)) pre = [pre];
   if (!is_arr(post)) post = [post];
   // TODO: move the above into a closure for caching
+  if (accumulate == undefined ? Ludus.accumulate : accumulate) {
+    let failed_pre = pre.map((spec) => Spec.explain_data(spec, args))
+      .filter((failure) => failure != undefined);
+    if (failed_pre.length > 0) throw new SpecError(`Arguments to \`${body.name}\` did not conform to spec.\n${failed_pre.flatMap(explain_args).join('\n')}`, failed_pre);
+
+    let returns = body(...args);
+
+    let failed_post = post.map((spec) => Spec.explain_data(spec, returns))
+      .filter((failure) => failure != undefined);
+    if (failed_post.length > 0) throw new SpecError(`Return from \`${body.name}\` did not conform to spec.\n${failed_post.map(({spec}) => Spec.explain(spec, returns)).join('\n')}`, failed_post);
+
+    return returns;
+  }
+
   let pass_pre = true;
   for (let spec of pre) {
     let result = Spec.is_valid(spec, args);
@@ -247,15 +287,16 @@ let pre_post = (pre, post, body) => !Ludus.check
 // - body :: fn | [fn]
 // - pre :: fn | [fn]?
 // - post :: fn | [fn]?
+// - accumulate :: boolean? (see `pre_post`, above)
 // Other attribute restrictions are not required for `defn` to work, but
 // will be applied later (e.g., `doc` must be a string). Metadata is not
 // held directly on the function but on a non-enumerable `attrs` property.
 // `attrs` also includes a `clauses` field that contains an array of the
-// function literals passed to `defn`.
-let defn = ({name, body, pre = [], post = [], ...attrs}) => {
+// function literals passed to `defn`, as well as its `pre` and `post`.
+let defn = ({name, body, pre = [], post = [], accumulate, ...attrs}) => {
   let clauses = is_fn(body) ? [body] : body;
-  let out = pre_post(pre, post, fn(name, clauses));
-  return copy_attrs(out, {name, clauses, pre, ...attrs});
+  let out = pre_post(pre, post, fn(name, clauses), accumulate);
+  return copy_attrs(out, {name, clauses, pre, post, ...attrs});
 };
 
 export default Ludus.NS.defmembers(Ludus.Fn,
@@ -0,0 +1,93 @@
+//////////////////// hash
+// A hash for every value, consistent with `eq`
+
+// Hashed collections (HashMap, HashSet) find a key by its hash, and
+// then by `eq`. So `hash` must agree with `eq`: if `eq(a, b)`, then
+// `hash(a) === hash(b)`. (The converse need not hold: different values
+// may share a hash.) Thus `hash` follows the same steps as `eq`:
+// - atoms hash by value
+// - a type may define its own `hash` in its namespace; any type that
+//   defines its own `eq` must do so
+// - sequences hash their elements, in order, whatever kind of sequence
+//   they are: `[1, 2]`, `list(1, 2)` and `vec(1, 2)` hash the same
+// - object literals hash their entries, in any order
+// - everything else hashes by identity
+// Frozen values cannot change, so their hashes are kept once computed.
+
+// TODO:
+// [ ] a better mix for hashes of small integers, which cluster
+// [ ] what to do about infinite sequences?
+//     ^ like `eq`, at current it will hang
+
+import Pred from './preds.js';
+import L from './base.js';
+
+let {is_sequence, is_obj} = Pred;
+
+let hash_str = (str) => {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) {
+    h = (Math.imul(31, h) + str.charCodeAt(i)) | 0;
+  }
+  return h;
+};
+
+let hash_num = (n) => (n | 0) === n ? n | 0 : hash_str(String(n));
+
+let hash_seq = (xs) => {
+  let h = 1;
+  for (let x of xs) {
+    h = (Math.imul(31, h) + hash(x)) | 0;
+  }
+  return h;
+};
+
+// `hash_entries` hashes `[key, value]` pairs in any order: addition
+// does not care about order
+let hash_entries = (entries) => {
+  let h = 0;
+  for (let [key, value] of entries) {
+    h = (h + (hash(key) ^ hash(value))) | 0;
+  }
+  return h;
+};
+
+// identity hashes are handed out in order, and remembered
+let identities = new WeakMap();
+let next_identity = 0;
+
+let hash_identity = (x) => {
+  if (!identities.has(x)) {
+    identities.set(x, next_identity);
+    next_identity = (next_identity + 1) | 0;
+  }
+  return identities.get(x);
+};
+
+let hash_ = L.method({
+  name: 'hash',
+  not_found: (x) => {
+    if (is_sequence(x)) return hash_seq(x);
+    if (is_obj(x)) return hash_entries(Object.entries(x));
+    return hash_identity(x);
+  }
+});
+
+let hashes = new WeakMap();
+
+let hash = (x) => {
+  if (x == undefined) return 0;
+  switch (typeof x) {
+    case 'string': return hash_str(x);
+    case 'number': return hash_num(x);
+    case 'boolean': return x ? 1231 : 1237;
+    case 'bigint':
+    case 'symbol': return hash_str(String(x));
+  }
+  if (hashes.has(x)) return hashes.get(x);
+  let h = hash_(x) | 0;
+  if (Object.isFrozen(x)) hashes.set(x, h);
+  return h;
+};
+
+export {hash};
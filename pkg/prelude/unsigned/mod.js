@@ -1,12 +1,13 @@
 import Ludus from './base.js';
 import {eq} from './eq.js';
+import {hash} from './hash.js';
 import Err from './errors.js';
 import Pred from './preds.js';
 import Spec from './spec.js';
 import './fns.js';
 
 Ludus.NS.defmembers(Ludus, {
-  Err, Pred, Spec, eq
+  Err, Pred, Spec, eq, hash
 });
 
 export default Ludus;
@@ -136,7 +136,103 @@ let dict = (spec) => spec_({name: `dict<${spec.name}>`,
   spec: dict,
   members: spec});
 
-let maybe = (spec) => rename(`maybe<${spec.name}>`, or(P.is_undef, spec));
+// maybe :: (spec) => spec
+// An `or` of `is_undef` and a spec, marked as a `maybe`, so that it
+// conforms without a tag.
+let maybe = (spec) => {
+  let maybe_spec = or(P.is_undef, spec);
+  maybe_spec.spec = maybe;
+  return rename(`maybe<${spec.name}>`, maybe_spec);
+};
+
+///// Sequence specs
+// Sequence specs describe sequences the way regular expressions describe
+// strings: `cat` matches its specs one after another; `alt`, any one of
+// them; `star`, zero or more of a spec; `plus`, one or more; and `opt`,
+// zero or one. Any other spec matches a single element. Sequence specs
+// nest without nesting the sequences they match: `cat(is_str,
+// star(cat(is_int, is_int)))` matches `['a', 1, 2, 3, 4]`. As specs of
+// arguments, they can say what `args` cannot: `cat(is_any, plus(clause))`
+// describes `cond`'s arguments exactly.
+
+let unique = (xs) => [...new Set(xs)];
+
+// repeat_from :: (spec, [any], [number], [miss]) => [number]
+// Every position reached by matching a spec any number of times,
+// starting from the positions in `starts`.
+let repeat_from = (spec, xs, starts, misses) => {
+  let reached = [...starts];
+  let frontier = starts;
+  while (frontier.length > 0) {
+    frontier = unique(frontier.flatMap((i) => positions(spec, xs, i, misses)))
+      .filter((i) => !reached.includes(i));
+    reached.push(...frontier);
+  }
+  return reached;
+};
+
+// positions :: (spec, [any], number, [miss]) => [number]
+// Matches a spec against a sequence from position `i`, returning every
+// position the match could end at (none, if it does not match). Each
+// element that fails a spec is added to `misses`, as `{index, spec}`,
+// for `explain_data`.
+let positions = (spec, xs, i, misses) => {
+  if (!is_sequence_spec(spec)) {
+    if (i < xs.length && is_valid(spec, xs[i])) return [i + 1];
+    misses.push({index: i, spec});
+    return [];
+  }
+  let {members} = spec;
+  switch (spec.spec) {
+    case cat: return members.reduce((starts, s) =>
+      unique(starts.flatMap((j) => positions(s, xs, j, misses))), [i]);
+    case alt: return unique(members.flatMap((s) => positions(s, xs, i, misses)));
+    case star: return repeat_from(members, xs, [i], misses);
+    case plus: return repeat_from(members, xs, positions(members, xs, i, misses), misses);
+    case opt: return unique([i, ...positions(members, xs, i, misses)]);
+  }
+};
+
+// a sequence spec matches if a match can end at the end of the sequence
+let sequence_spec = (spec, attrs) => {
+  let pred = (xs) => {
+    if (!P.is_sequence(xs)) return false;
+    let elements = [...xs];
+    return positions(seq_spec, elements, 0, []).includes(elements.length);
+  };
+  let seq_spec = spec_({spec, pred, ...attrs});
+  return seq_spec;
+};
+
+// cat :: (...specs) => spec
+// Matches each spec in turn, one after the other.
+let cat = (...specs) => sequence_spec(cat,
+  {name: `cat<${specs.map((s) => s.name)}>`, members: specs});
+
+// alt :: (...specs) => spec
+// Matches any one of the specs.
+let alt = (...specs) => sequence_spec(alt,
+  {name: `alt<${specs.map((s) => s.name)}>`, members: specs});
+
+// star :: (spec) => spec
+// Matches a spec zero or more times.
+let star = (spec) => sequence_spec(star,
+  {name: `star<${spec.name}>`, members: spec});
+
+// plus :: (spec) => spec
+// Matches a spec one or more times.
+let plus = (spec) => sequence_spec(plus,
+  {name: `plus<${spec.name}>`, members: spec});
+
+// opt :: (spec) => spec
+// Matches a spec zero times or once.
+let opt = (spec) => sequence_spec(opt,
+  {name: `opt<${spec.name}>`, members: spec});
+
+// is_sequence_spec :: (any) => boolean
+// Tells if something is a sequence spec.
+let is_sequence_spec = (x) => is_spec(x)
+  && [cat, alt, star, plus, opt].includes(x.spec);
 
 ///// Function speccing
 let args = (...tups) => {
@@ -165,139 +261,341 @@ let args = (...tups) => {
     pred, spec: args, members: arg_tuples});
 };
 
-// TODO: review, improve, simplify this
-// TODO: make this a method, dispatching to the explain methods on each function
-//       ^ this will allow for better explanations later with better functions
-let explain = (spec, value, indent = 0) => {
-  let shown = L.show(value);
-  let pad = ' '.repeat(indent);
-  if (is_valid(spec, value)) return `${shown} passes ${spec.name}`;
+///// Explaining failures
+// explain_data :: (spec, value) => failure?
+// Explains why a value does not pass a spec, as data: a tree of
+// failures, or undefined if the value passes. Each failure has:
+// - path: the keys and indices from the explained value to `value`
+// - spec: the spec (or predicate) that failed
+// - value: the value that failed it
+// - reasons: the failures of the specs within it that made it fail: for
+//   `or`, all of its members; for `and`, `tup`, `record`, `args`, and
+//   so on, those members that failed
+// A failure that is not down to its members also has a `problem`:
+// 'not_array', 'length', 'not_iterable', 'not_object', 'arity',
+// 'not_sequence', 'ended', or 'extra'. 'length' and 'arity' have what
+// was `expected` (a length, or a list of arities). The last two are
+// failures of sequence specs: the sequence ended where more was
+// `expected` (a list of specs), or went on past the end of the match;
+// both have the position they happened `at`.
+// A failure of `args` has the `clause` (a `tup`) the arguments were
+// checked against.
+let explain_data = (spec, value) => failures(spec, value, [])[0];
+
+// failures :: (spec, value, path) => [failure]
+// No failures if the value passes the spec; otherwise, one.
+let failures = (spec, value, path) => is_valid(spec, value)
+  ? []
+  : [failure(spec, value, path)];
+
+let get_key = (obj, key) => obj == undefined ? undefined : obj[key];
+
+// failure :: (spec, value, path) => failure
+// Assumes the value fails the spec.
+let failure = (spec, value, path) => {
+  let fail = (attrs) => ({path, spec, value, reasons: [], ...attrs});
+  let members_at = (specs, path) =>
+    specs.flatMap((s) => failures(s, value, path));
+  if (!is_spec(spec)) return fail();
   switch (spec.spec) {
-    case and: {
-      let msg = `${shown} failed ${spec.name}:\n`;
-      let msgs = [];
-      for (let mem of spec.members) {
-        if (!is_valid(mem, value))
-          msgs.push(pad + explain(mem, value, indent + 2));
-      }
-      return msg + msgs.join('\n');
-    }
-    case or: {
-      let msg = `${shown} failed ${spec.name}:\n`;
-      let msgs = [];
-      for (let mem of spec.members) { 
-        msgs.push(pad + explain(mem, value, indent + 2));
-      }
-      return msg + msgs.join('\n');
+    case or:
+    case and:
+    case maybe:
+      return fail({reasons: members_at(spec.members, path)});
+    case record:
+      return fail({reasons: spec.members.flatMap(({members: {key, spec}}) =>
+        failures(spec, get_key(value, key), [...path, key]))});
+    case at: {
+      let {key, spec: s} = spec.members;
+      return fail({reasons: failures(s, get_key(value, key), [...path, key])});
     }
     case tup: {
       let mems = spec.members;
-      let length = mems.length;
-      let msg = `${shown} failed ${spec.name}:\n`;
-      if (!P.is_arr(value)) {
-        return msg + pad + `${shown} is not an array. Tuples must be arrays.`
-      }
-      if (value.length !== length) {
-        return msg + pad + `Length mismatch. Expected: ${length}; received: ${value.length}.`;
-      }
-      let msgs = [];
-      for (let i = 0; i < length; i++) {
-        let mem = mems[i];
-        let val = value[i];
-        if (is_valid(mem, val)) {
-          msgs.push(pad + `At ${i}: ${L.show(val)} passes ${mem.name}.`);
-        } else {
-          msgs.push(pad + `At ${i}: ${explain(mem, val, indent + 2)}`);
-        }
-      }
-      return msg + msgs.join('\n');
+      if (!P.is_arr(value)) return fail({problem: 'not_array'});
+      if (value.length !== mems.length)
+        return fail({problem: 'length', expected: mems.length});
+      return fail({reasons: mems.flatMap((s, i) =>
+        failures(s, value[i], [...path, i]))});
     }
     case iter_of: {
-      let msg = `${shown} fails ${spec.name}: `;
-      if (!P.is_sequence(value)) {
-        return msg + `${shown} is not a sequence.`;
-      }
-      let mem = spec.members;
+      if (!P.is_iter(value)) return fail({problem: 'not_iterable'});
+      let reasons = [];
       let i = 0;
       for (let x of value) {
-        if (!is_valid(mem, x)) {
-          return msg + '\n' + pad + `At ${i}: ${explain(mem, x, indent + 2)}`;
-        }
+        reasons.push(...failures(spec.members, x, [...path, i]));
         i++;
       }
-    }
-    case at: { 
-      let s = spec.members.spec;
-      let key = spec.members.key;
-      let val = value != undefined ? value[key] : undefined;
-      return `${shown} fails ${spec.name}\n${pad}At ${key}: ${explain(s, val, indent + 2)}`;
-    }
-    case record: {
-      let msg = `${shown} failed ${spec.name}:\n`;
-      let msgs = [];
-      for (let mem of spec.members) {
-        let key = mem.members.key;
-        let val = value == undefined ? undefined : value[key];
-        if (!is_valid(mem, val)) {
-          msgs.push(pad + explain(mem, {[key]: val}, indent + 2));
-        }
-      }
-      return msg + msgs.join('\n');
+      return fail({reasons});
     }
     case dict: {
-      let msg = `${shown} failed ${spec.name}:`;
-      if (!P.is_obj(value)) {
-        return msg + `Dicts must be objects.`;
-      }
-      let s = spec.members;
-      let msgs = [];
-      for (let [k, v] of Object.entries(value)) {
-        if (!is_valid(s, v))
-          msgs.push(pad + `At ${k}: ${explain(s, v, indent + 2)}`);
-      }
-      return msg + '\n' + msgs.join('\n');
+      if (!P.is_obj(value)) return fail({problem: 'not_object'});
+      return fail({reasons: Object.entries(value).flatMap(([k, v]) =>
+        failures(spec.members, v, [...path, k]))});
     }
     case args: {
-      let max_arity = 0;
-      let arity_map = {};
-      for (let s of spec.members) {
-        let len = s.members.length;
-        max_arity = Math.max(max_arity, len);
-        arity_map[len] = s;
-      }
-      let num_args = value.length;
-      let arg_tuple = arity_map[Math.min(num_args, max_arity)];
-      if (arg_tuple == undefined) {
-        return `${shown} failed ${spec.name}: Wrong number of arguments. Expected ${Object.keys(arity_map).join(' | ')} but received ${num_args}.`
-      }
-      if (num_args <= max_arity) {
-        return `${shown} failed ${spec.name}:\n${pad}${explain(arg_tuple, value, indent + 2)}`;
-      }
-      let explicit = value.slice(0, max_arity);
-      let rest = value.slice(max_arity);
-      let tup_msgs = [];
-      for (let i = 0; i < max_arity; i++) {
-        let arg = explicit[i];
-        let arg_spec = arg_tuple.members[i];
-        if (is_valid(arg_spec, arg)) {
-          tup_msgs.push(`At ${i}: ${L.show(arg)} passes ${arg_spec.name}.`);
-        } else {
-          tup_msgs.push(`At ${i}: ${explain(arg_spec, arg, indent + 2)}`);
-        }
-      }
-      let rest_msgs = [];
-      let rest_spec = arg_tuple.members[max_arity - 1];
-      for (let i = 0; i < rest.length; i ++) {
-        if (is_valid(rest_spec, rest[i])) {
-          rest_msgs.push(pad + `At ${i + max_arity}: ${L.show(rest[i])} passes ${rest_spec.name}.`)
-        } else {
-          rest_msgs.push(pad + `At ${i + max_arity}: ${explain(rest_spec, rest[i], indent + 2)}`);
-        }
-      }
-      return `${shown} failed ${spec.name}\nwith <${arg_tuple.members.map((s) => s.name).join(', ')}>:\n${[...tup_msgs, ...rest_msgs].join('\n')}`;
+      let arities = spec.members.map((t) => t.members.length)
+        .sort((a, b) => a - b);
+      let max_arity = arities[arities.length - 1];
+      let clause = spec.members.find((t) =>
+        t.members.length === Math.min(value.length, max_arity));
+      if (clause == undefined)
+        return fail({problem: 'arity', expected: arities});
+      // any arguments past the clause are checked against its last spec
+      let specs = clause.members;
+      let rest = specs[specs.length - 1];
+      return fail({clause, reasons: value.flatMap((arg, i) =>
+        failures(i < specs.length ? specs[i] : rest, arg, [...path, i]))});
     }
+    case cat:
+    case alt:
+    case star:
+    case plus:
+    case opt: {
+      if (!P.is_sequence(value)) return fail({problem: 'not_sequence'});
+      // the failure is at the furthest position the match reached: if an
+      // element failed there, that is the failure; if not, the sequence
+      // went on after the match ended
+      let xs = [...value];
+      let misses = [];
+      let ends = positions(spec, xs, 0, misses);
+      let at = Math.max(...ends, ...misses.map(({index}) => index));
+      let expected = unique(misses.filter(({index}) => index === at)
+        .map(({spec}) => spec));
+      if (expected.length === 0) return fail({problem: 'extra', at});
+      if (at === xs.length) return fail({problem: 'ended', at, expected});
+      return fail({reasons: expected.flatMap((s) =>
+        failures(s, xs[at], [...path, at]))});
+    }
+    case spec_:
+      return fail({reasons: is_spec(spec.pred)
+        ? failures(spec.pred, value, path)
+        : []});
     default:
-      return `${shown} fails ${spec.name}.`;
+      return fail();
+  }
+};
+
+// explain :: (spec, value, number?) => string
+// Explains why a value does not pass a spec, in English. Renders
+// `explain_data`, one line for each failure, indented by its depth,
+// with the path to it from the failure above.
+// TODO: make this a method, dispatching to the explain methods on each function
+//       ^ this will allow for better explanations later with better functions
+let problems = {
+  not_array: () => 'Tuples must be arrays.',
+  length: ({value, expected}) =>
+    `Length mismatch. Expected: ${expected}; received: ${value.length}.`,
+  not_iterable: () => 'Expected an iterable.',
+  not_object: () => 'Dicts must be objects.',
+  arity: ({value, expected}) =>
+    `Wrong number of arguments. Expected ${expected.join(' | ')} but received ${value.length}.`,
+  not_sequence: () => 'Expected a sequence.',
+  ended: ({at, expected}) =>
+    `Expected ${expected.map((s) => s.name || 'anon. fn').join(' or ')} at ${at}, but the sequence ended.`,
+  extra: ({value, at}) =>
+    `Expected the sequence to end at ${at}, but it goes on: ${L.show([...value][at])}.`
+};
+
+let render = (failure, from, indent, verb = 'fails') => {
+  let {path, spec, value, reasons, problem, clause} = failure;
+  let pad = ' '.repeat(indent);
+  let where = path.length > from.length
+    ? `At ${path.slice(from.length).join('.')}: `
+    : '';
+  let line = `${pad}${where}${L.show(value)} ${verb} ${spec.name || 'anon. fn'}`;
+  if (problem) return `${line}: ${problems[problem](failure)}`;
+  if (clause) line += ` with <${clause.members.map((s) => s.name).join(', ')}>`;
+  if (reasons.length === 0) return `${line}.`;
+  return [`${line}:`, ...reasons.map((r) => render(r, path, indent + 2))]
+    .join('\n');
+};
+
+let explain = (spec, value, indent = 0) => {
+  let failed = explain_data(spec, value);
+  if (failed == undefined) return `${L.show(value)} passes ${spec.name}`;
+  return render(failed, failed.path, indent, 'failed');
+};
+
+///// Conforming
+// conform :: (spec, value) => any
+// The equivalent of conform in clj: validates and parses a value at
+// once. Returns `invalid` if the value does not pass the spec; otherwise
+// a view of the value in which what the spec found out about it is
+// data. Where a spec has alternatives, its view is tagged, as
+// `{tag, value}`:
+// - `or`: tagged with the name of the member that matched (or its
+//   index, if it has no name), the first that did
+// - `args`: tagged with the arity of the clause that matched; the value
+//   is the arguments, conformed by its specs
+// - `alt`: like `or`, for sequences
+// Other specs conform what they contain:
+// - `record` and `at`: the object, with the keys they spec conformed
+// - `tup`, `iter_of`, and `dict`: an array (or object) of the elements
+//   (or values), conformed
+// - `maybe`: undefined, or the value conformed by its spec
+// - `and`: the value, conformed by its last member that is a spec
+// - `cat`: an array of what each of its specs conformed; `star` and
+//   `plus`, an array of each repetition; `opt`, undefined or the one
+// Predicates conform a value to itself.
+let invalid = Symbol('ludus/spec/invalid');
+
+// is_invalid :: (any) => boolean
+let is_invalid = (x) => x === invalid;
+
+let conform = (spec, value) => is_valid(spec, value)
+  ? conformed(spec, value)
+  : invalid;
+
+let tag_of = (spec, i) => spec.name || i;
+
+let tagged = (specs, tag) => {
+  let member = specs.find((s, i) => tag_of(s, i) === tag);
+  if (member == undefined) throw Error(`Unknown tag: ${L.show(tag)}.`);
+  return member;
+};
+
+let last_spec = (specs) => specs.filter(is_spec).pop();
+
+// the arguments past its longest clause are specced by its last spec
+let arg_specs = (clause, args) => {
+  let specs = clause.members;
+  return args.map((_, i) => i < specs.length ? specs[i] : specs[specs.length - 1]);
+};
+
+// conformed :: (spec, value) => any
+// Assumes the value passes the spec.
+let conformed = (spec, value) => {
+  if (!is_spec(spec)) return value;
+  let {members} = spec;
+  switch (spec.spec) {
+    case or: {
+      let i = members.findIndex((s) => is_valid(s, value));
+      return {tag: tag_of(members[i], i), value: conformed(members[i], value)};
+    }
+    case maybe:
+      return value === undefined ? undefined : conformed(members[1], value);
+    case and: {
+      let last = last_spec(members);
+      return last == undefined ? value : conformed(last, value);
+    }
+    case record:
+      return members.reduce((obj, at) => conformed(at, obj), value);
+    case at: {
+      let {key, spec: s} = members;
+      if (!(key in Object(value))) return value;
+      return {...value, [key]: conformed(s, value[key])};
+    }
+    case tup: return members.map((s, i) => conformed(s, value[i]));
+    case iter_of: return [...value].map((x) => conformed(members, x));
+    case dict: return Object.fromEntries(Object.entries(value)
+      .map(([k, v]) => [k, conformed(members, v)]));
+    case args: {
+      let arities = members.map((t) => t.members.length);
+      let clause = members.find((t) =>
+        t.members.length === Math.min(value.length, Math.max(...arities)));
+      let specs = arg_specs(clause, value);
+      return {tag: clause.members.length,
+        value: value.map((x, i) => conformed(specs[i], x))};
+    }
+    case cat:
+    case alt:
+    case star:
+    case plus:
+    case opt: {
+      let xs = [...value];
+      return parses(spec, xs, 0).find(({end}) => end === xs.length).value;
+    }
+    case spec_: return conformed(spec.pred, value);
+    default: return value;
+  }
+};
+
+// one parse for each position a match could end at: the first found
+let by_end = (parsed) => parsed.filter(({end}, i) =>
+  parsed.findIndex((p) => p.end === end) === i);
+
+// parses :: (spec, [any], number) => [{end, value}]
+// Like `positions`, but with each position, what the match conformed.
+let parses = (spec, xs, i) => {
+  if (!is_sequence_spec(spec)) return i < xs.length && is_valid(spec, xs[i])
+    ? [{end: i + 1, value: conformed(spec, xs[i])}]
+    : [];
+  let {members} = spec;
+  let repeat = (found) => {
+    let frontier = found;
+    while (frontier.length > 0) {
+      frontier = by_end(frontier.flatMap(({end, value}) =>
+        parses(members, xs, end).map((p) => ({end: p.end, value: [...value, p.value]}))))
+        .filter(({end}) => !found.some((p) => p.end === end));
+      found = [...found, ...frontier];
+    }
+    return found;
+  };
+  switch (spec.spec) {
+    case cat: return members.reduce((found, s) => by_end(found.flatMap(({end, value}) =>
+      parses(s, xs, end).map((p) => ({end: p.end, value: [...value, p.value]})))),
+    [{end: i, value: []}]);
+    case alt: return by_end(members.flatMap((s, j) => parses(s, xs, i)
+      .map(({end, value}) => ({end, value: {tag: tag_of(s, j), value}}))));
+    case star: return repeat([{end: i, value: []}]);
+    case plus: return repeat(parses(members, xs, i)
+      .map(({end, value}) => ({end, value: [value]})));
+    case opt: return by_end([{end: i, value: undefined}, ...parses(members, xs, i)]);
+  }
+};
+
+// unform :: (spec, any) => any
+// The inverse of `conform`: takes what a spec conformed, and returns
+// the value it was conformed from--or one `eq` to it. (`iter_of` and
+// sequence specs give back arrays, whatever sequences they conformed.)
+let unform = (spec, value) => {
+  if (!is_spec(spec)) return value;
+  let {members} = spec;
+  switch (spec.spec) {
+    case or: return unform(tagged(members, value.tag), value.value);
+    case maybe: return value === undefined ? undefined : unform(members[1], value);
+    case and: {
+      let last = last_spec(members);
+      return last == undefined ? value : unform(last, value);
+    }
+    case record: return members.reduce((obj, at) => unform(at, obj), value);
+    case at: {
+      let {key, spec: s} = members;
+      if (!(key in Object(value))) return value;
+      return {...value, [key]: unform(s, value[key])};
+    }
+    case tup: return members.map((s, i) => unform(s, value[i]));
+    case iter_of: return value.map((x) => unform(members, x));
+    case dict: return Object.fromEntries(Object.entries(value)
+      .map(([k, v]) => [k, unform(members, v)]));
+    case args: {
+      let clause = members.find((t) => t.members.length === value.tag);
+      if (clause == undefined) throw Error(`Unknown tag: ${L.show(value.tag)}.`);
+      let specs = arg_specs(clause, value.value);
+      return value.value.map((x, i) => unform(specs[i], x));
+    }
+    case cat:
+    case alt:
+    case star:
+    case plus:
+    case opt:
+      return unparse(spec, value);
+    case spec_: return unform(spec.pred, value);
+    default: return value;
+  }
+};
+
+// unparse :: (spec, any) => [any]
+// The elements a sequence spec conformed into a value.
+let unparse = (spec, value) => {
+  if (!is_sequence_spec(spec)) return [unform(spec, value)];
+  let {members} = spec;
+  switch (spec.spec) {
+    case cat: return members.flatMap((s, i) => unparse(s, value[i]));
+    case alt: return unparse(tagged(members, value.tag), value.value);
+    case star:
+    case plus: return value.flatMap((x) => unparse(members, x));
+    case opt: return value === undefined ? [] : unparse(members, value);
   }
 };
 
@@ -307,6 +605,8 @@ export default ns({
     spec: spec_, show, is_spec, is_valid, rename, // utils
     and, or, not, tup, iter_of, at, record, // combinators
     dict, maybe, args, // parametric
-    explain // and explain
+    cat, alt, star, plus, opt, is_sequence_spec, // sequences
+    explain, explain_data, // and explain
+    conform, unform, invalid, is_invalid // and conform
   }
-});
\ No newline at end of file
+});